@@ -16,7 +16,7 @@ $(document).ready(function() {
 
     // Run Structured.match when the user presses the button.
     $("#run-button").click(function(evt) {
-        var structure = "function() {\n" + editorStructure.getValue() + "\n}";
+        var structure = editorStructure.getValue();
         var code = editorTest.getValue();
         //  Pull in the object with function callbacks.
         eval("var varCallbacks = " + editorCallbacks.getValue());
@@ -28,13 +28,14 @@ $(document).ready(function() {
             errorMessage = varCallbacks.failure || "";
         } catch (error) {
             message = "";
-            errorMessage = error;
+            errorMessage = error.message || error;
         }
         $("#results").hide().html(message).fadeIn();
         $(".match-fail-message").html(errorMessage);
         $(".test-wrapper").hide();
         oldFocus.focus();
-        makeTest(structure, code, editorCallbacks.getValue(), result);
+        makeTest("function() {\n" + structure + "\n}", code,
+            editorCallbacks.getValue(), result);
     });
 
     // Show QUnit test code
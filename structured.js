@@ -17,6 +17,13 @@
     // Cache the most recently-parsed code and tree
     var cachedCode;
     var cachedCodeTree;
+    var cachedCodeLocations;
+    var cachedCodeTolerant;
+    var cachedCodeComments;
+    var cachedCodeErrors;
+
+    // The parser for matches that don't give their own (see setParser)
+    var defaultParser = {parse: parseWithEsprima, options: {}};
 
     if (typeof module !== "undefined" && module.exports) {
         exports = module.exports = {};
@@ -29,7 +36,63 @@
     }
 
     if (!esprima || !_) {
-        throw "Error: Both Esprima and UnderscoreJS are required dependencies.";
+        throw new Error("Both Esprima and UnderscoreJS are required dependencies.");
+    }
+
+    /*
+     * Makes a class of the errors that structured.js throws, exported by
+     * name. Each error is an Error with
+     *     name: the name of its class,
+     *     code: a machine-readable code, like "UNKNOWN_WILDCARD_TYPE",
+     *     message: a description of the problem,
+     *     variable: the variable (or glob, or blank) at fault, or null,
+     *     node: the syntax node at fault, or null,
+     *     location: where the problem is in the source, as
+     *         {line, column, index}, or null if it is not known
+     * details may give the variable, node and location. The location
+     * defaults to the start of the node, if it has one.
+     *
+     * StructureError is thrown for mistakes in a structure or its options,
+     * CodeParseError when the code can't be parsed, and InjectionError when
+     * injectData is missing data.
+     */
+    function errorClass(name) {
+        var StructuredError = function(code, message, details) {
+            details = details || {};
+            this.name = name;
+            this.code = code;
+            this.message = message;
+            this.variable = details.variable || null;
+            this.node = details.node || null;
+            this.location = details.location || nodeStart(this.node);
+            if (Error.captureStackTrace) {
+                Error.captureStackTrace(this, StructuredError);
+            } else {
+                this.stack = new Error(message).stack;
+            }
+        };
+        StructuredError.prototype = Object.create(Error.prototype);
+        StructuredError.prototype.constructor = StructuredError;
+        return StructuredError;
+    }
+
+    var StructureError = errorClass("StructureError");
+    var CodeParseError = errorClass("CodeParseError");
+    var InjectionError = errorClass("InjectionError");
+
+    /*
+     * Returns the start of the node as a location of an error (see
+     * errorClass), or null if it has no location.
+     */
+    function nodeStart(node) {
+        if (!node || !node.loc) {
+            return null;
+        }
+        return {
+            line: node.loc.start.line,
+            column: node.loc.start.column,
+            index: node.range ? node.range[0] : null
+        };
     }
 
     /*
@@ -38,15 +101,23 @@
      *
      * This allows a much terser definition of callback function where you don't have to
      * explicitly state the parameters in a separate list
+     *
+     * The callback may be a function, an arrow function or a method.
      */
     function makeConstraint(callback) {
-        var paramText = /^function [^\(]*\(([^\)]*)\)/.exec(callback)[1];
+        var header = callbackHeader.exec(String(callback));
+        if (!header) {
+            throw new StructureError("INVALID_CALLBACK_PARAMETER",
+                "Can't read the parameters of a callback");
+        }
+        var paramText = _.find(header.slice(1), _.isString);
         var params = paramText.match(/[$_a-zA-z0-9]+/g);
 
         for (var key in params) {
             if (params[key][0] !== "$") {
-                console.warn("Invalid parameter in constraint (should begin with a '$'): ", params[key]);
-                return null;
+                throw new StructureError("INVALID_CALLBACK_PARAMETER",
+                    "Invalid parameter in constraint (should begin with a '$'): " +
+                    params[key], {variable: params[key]});
             }
         }
         return {
@@ -55,6 +126,295 @@
         };
     }
     
+    /*
+     * Matches the start of the source of a callback (see makeConstraint),
+     * capturing its parameters: function name($a, $b), ($a, $b) =>,
+     * $a => or a method's name($a, $b), any of them maybe async.
+     */
+    var callbackHeader =
+        /^\s*(?:async\s+)?(?:function\b[^(]*\(([^)]*)\)|\(([^)]*)\)\s*=>|([\w$]+)\s*=>|[\w$]+\s*\(([^)]*)\))/;
+
+    /*
+     * Produces a constraint (like makeConstraint) from a declarative
+     * description of the nodes that each of the variables may match. The
+     * description is a plain (JSON-compatible) object of operators:
+     *     {type: "Literal"}     the node has the type, which may be any type
+     *                           allowed for typed wildcards, like "Number"
+     *     {equals: 5}           the node's value (or an identifier's name) is 5
+     *     {in: [1, 2]}          the node's value is in the list
+     *     {gt: 0}, {lt: 400}    the node's value is a number above/below this
+     *     {sameAs: "$other"}    the node is the same code as $other's
+     *     {and: [descriptions]}, {or: [descriptions]}, {not: description}
+     * All the operators in a description must hold. A description may also
+     * have a failure message, reported when it does not hold; the message
+     * of the innermost description that fails is used, except that those
+     * inside or and not are not (their parts are expected to fail).
+     */
+    function makeDeclarativeConstraint(variables, description) {
+        var others = [];
+        validate(description);
+        var allVariables = _.union(variables, others);
+        return {
+            variables: allVariables,
+            fn: function() {
+                var values = _.object(allVariables, arguments);
+                var failed;
+                _.find(variables, function(varName) {
+                    failed = descriptionFailure(description, values[varName], values);
+                    return failed;
+                });
+                if (!failed) {
+                    return true;
+                }
+                return failed.message ? {failure: failed.message} : false;
+            }
+        };
+
+        // Checks the operators up front, and finds the other variables used.
+        function validate(description) {
+            if (!_.isObject(description) || _.isArray(description)) {
+                throw new StructureError("INVALID_CONSTRAINT",
+                    "A constraint description must be an object",
+                    {variable: variables.join(", ")});
+            }
+            _.each(description, function(arg, operator) {
+                if (!_.has(declarativeOperators, operator)) {
+                    throw new StructureError("UNKNOWN_CONSTRAINT_OPERATOR",
+                        "Unknown constraint operator " + operator,
+                        {variable: variables.join(", ")});
+                }
+                if (operator === "type" && !isWildcardType(arg)) {
+                    throw new StructureError("UNKNOWN_WILDCARD_TYPE",
+                        "Unknown constraint type " + arg,
+                        {variable: variables.join(", ")});
+                }
+                if (operator === "sameAs") {
+                    others.push(arg);
+                } else if (operator === "not") {
+                    validate(arg);
+                } else if (operator === "and" || operator === "or") {
+                    _.each(arg, validate);
+                }
+            });
+        }
+    }
+
+    /*
+     * Returns {message} if the code node does not fit the declarative
+     * description (see makeDeclarativeConstraint), or null if it does.
+     * values has the nodes of the other variables.
+     */
+    function descriptionFailure(description, node, values) {
+        var failed = null;
+        _.find(_.keys(description), function(operator) {
+            if (operator !== "failure") {
+                failed = declarativeOperators[operator](description[operator],
+                    node, values);
+            }
+            return failed;
+        });
+        if (failed && !failed.message && description.failure) {
+            failed.message = description.failure;
+        }
+        return failed;
+    }
+
+    /*
+     * The operators of declarative constraints. Each takes the argument of
+     * the operator, the code node and the nodes of the other variables, and
+     * returns null if the node fits, or else {message}.
+     */
+    var declarativeOperators = {
+        type: function(type, node) {
+            return operatorResult(_.isObject(node) && hasWildcardType(node, type));
+        },
+        equals: function(value, node) {
+            return operatorResult(nodeValue(node) === value);
+        },
+        "in": function(list, node) {
+            return operatorResult(_.contains(list, nodeValue(node)));
+        },
+        gt: function(limit, node) {
+            return operatorResult(_.isNumber(nodeValue(node)) && nodeValue(node) > limit);
+        },
+        lt: function(limit, node) {
+            return operatorResult(_.isNumber(nodeValue(node)) && nodeValue(node) < limit);
+        },
+        sameAs: function(varName, node, values) {
+            return operatorResult(_.isObject(values[varName]) &&
+                sameNode(node, values[varName]));
+        },
+        and: function(descriptions, node, values) {
+            var failed = null;
+            _.find(descriptions, function(description) {
+                failed = descriptionFailure(description, node, values);
+                return failed;
+            });
+            return failed;
+        },
+        or: function(descriptions, node, values) {
+            return operatorResult(_.some(descriptions, function(description) {
+                return !descriptionFailure(description, node, values);
+            }));
+        },
+        not: function(description, node, values) {
+            return operatorResult(!!descriptionFailure(description, node, values));
+        },
+        failure: function() {
+            return null; // The message is handled by descriptionFailure.
+        }
+    };
+
+    /* Returns the result of an operator that checked whether ok. */
+    function operatorResult(ok) {
+        return ok ? null : {message: null};
+    }
+
+    /*
+     * Returns the value of a literal node or the name of an identifier,
+     * the part of a node that declarative constraints compare.
+     */
+    function nodeValue(node) {
+        if (!_.isObject(node)) {
+            return undefined;
+        }
+        return node.type === esprima.Syntax.Identifier ? node.name : node.value;
+    }
+
+    /*
+     * Composable predicates for the varCallbacks, exported as
+     * Structured.constraints. Each helper returns a callback that can be
+     * given for variables in the mapping form of varCallbacks, like
+     *     {"$x, $y": constraints.inRange(0, 400)}
+     * and that checks every one of the variables, reporting a failure
+     * message that describes what was expected and what was found.
+     * The callbacks can be combined with and, or and not.
+     */
+    var constraints = {
+        isNumber: function() {
+            return makePredicate("a number", function(node) {
+                return isLiteral(node) && _.isNumber(node.value);
+            });
+        },
+        isString: function() {
+            return makePredicate("a string", function(node) {
+                return isLiteral(node) && _.isString(node.value);
+            });
+        },
+        isIdentifier: function() {
+            return makePredicate("a variable name", function(node) {
+                return _.isObject(node) && node.type === esprima.Syntax.Identifier;
+            });
+        },
+        inRange: function(min, max) {
+            return makePredicate("a number from " + min + " to " + max,
+                function(node) {
+                    return isLiteral(node) && _.isNumber(node.value) &&
+                        node.value >= min && node.value <= max;
+                });
+        },
+        not: function(predicate) {
+            return makePredicate("anything but " + predicate.description,
+                function(node) {
+                    return !predicate.test(node);
+                });
+        },
+        /* The failure is that of the first predicate that fails. */
+        and: function() {
+            var predicates = _.toArray(arguments);
+            var and = makePredicate(_.pluck(predicates, "description").join(" and "),
+                function(node) {
+                    return _.every(predicates, function(predicate) {
+                        return predicate.test(node);
+                    });
+                });
+            var fn = function() {
+                var nodes = arguments;
+                var result = true;
+                _.find(predicates, function(predicate) {
+                    result = predicate.apply(null, nodes);
+                    return result !== true;
+                });
+                return result;
+            };
+            fn.description = and.description;
+            fn.test = and.test;
+            return fn;
+        },
+        or: function() {
+            var predicates = _.toArray(arguments);
+            return makePredicate(_.pluck(predicates, "description").join(" or "),
+                function(node) {
+                    return _.some(predicates, function(predicate) {
+                        return predicate.test(node);
+                    });
+                });
+        },
+        /*
+         * Checks that the variables all have different code, rather than
+         * checking each one. Combined with other predicates, it only has
+         * an effect through and.
+         */
+        distinct: function() {
+            var fn = function() {
+                var nodes = _.toArray(arguments);
+                for (var i = 0; i < nodes.length; i++) {
+                    for (var j = i + 1; j < nodes.length; j++) {
+                        if (sameNode(nodes[i], nodes[j])) {
+                            return {failure: "Expected different values, but found " +
+                                describeNode(nodes[i]) + " twice."};
+                        }
+                    }
+                }
+                return true;
+            };
+            fn.description = "different values";
+            fn.test = function() {
+                return true;
+            };
+            return fn;
+        }
+    };
+
+    /*
+     * Makes a constraints callback that checks each of the nodes it is
+     * given with test(node). The description completes "Expected ...".
+     */
+    function makePredicate(description, test) {
+        var fn = function() {
+            for (var i = 0; i < arguments.length; i++) {
+                if (!test(arguments[i])) {
+                    return {failure: "Expected " + description + ", but found " +
+                        describeNode(arguments[i]) + "."};
+                }
+            }
+            return true;
+        };
+        fn.description = description;
+        fn.test = test;
+        return fn;
+    }
+
+    function isLiteral(node) {
+        return _.isObject(node) && node.type === esprima.Syntax.Literal;
+    }
+
+    /* Describes a code node for a failure message, like "5" or "x". */
+    function describeNode(node) {
+        if (!_.isObject(node) || !node.type) {
+            return "nothing";
+        }
+        if (node.type === esprima.Syntax.Literal) {
+            // Folded constants keep the raw text of their operand.
+            return _.isString(node.value) && _.has(node, "raw") ?
+                node.raw : String(node.value);
+        }
+        if (node.type === esprima.Syntax.Identifier) {
+            return node.name;
+        }
+        return "a " + node.type;
+    }
+
     /*
      * return true if n2 < n1 (according to relatively arbitrary criteria)
      */
@@ -75,6 +435,7 @@
     }
     function standardizeTree(tree) {
 	if (!tree) {return tree;}
+        tree = expandShorthand(tree);
         var r = deepClone(tree);
         switch (tree.type) {
             case "BinaryExpression":
@@ -98,15 +459,15 @@
 		    r.right = standardizeTree(tree.left);
 		} break;
 	    case "AssignmentExpression":
-	        if (_.contains(["+=", "-=", "*=", "/=", "%=", "<<=", ">>=", ">>>=", "&=", "^=", "|="], tree.operator)) {
+	        if (_.contains(["+=", "-=", "*=", "/=", "%=", "**=", "<<=", ">>=", ">>>=", "&=", "^=", "|="], tree.operator)) {
 		    var l = standardizeTree(tree.left);
-		    r = {type: "AssignmentExpression",
+		    r = copyLocation(tree, {type: "AssignmentExpression",
 			 operator: "=",
 			 left: l,
-			 right: {type: "BinaryExpression",
+			 right: copyLocation(tree, {type: "BinaryExpression",
 				 operator: tree.operator.slice(0,-1),
 				 left: l,
-				 right: standardizeTree(tree.right)}};
+				 right: standardizeTree(tree.right)})});
 		} else {
             r.left = standardizeTree(r.left);
             r.right = standardizeTree(r.right);
@@ -114,15 +475,15 @@
 	    case "UpdateExpression":
 	        if (_.contains(["++", "--"], tree.operator)) {
 		    var l = standardizeTree(tree.argument);
-		    r = {type: "AssignmentExpression",
+		    r = copyLocation(tree, {type: "AssignmentExpression",
 			 operator: "=",
 			 left: l,
-			 right: {type: "BinaryExpression",
+			 right: copyLocation(tree, {type: "BinaryExpression",
 				 operator: tree.operator[0],
 				 left: l,
-				 right: {type: "Literal",
+				 right: copyLocation(tree, {type: "Literal",
 					 value: 1,
-					 raw: "1"}}};
+					 raw: "1"})})});
 		} break;
 	    case "VariableDeclaration":
 	        if (tree.kind === "var") {
@@ -130,41 +491,101 @@
 		    for (var i in tree.declarations) {
 			if (tree.declarations[i].type === "VariableDeclarator" &&
 			    tree.declarations[i].init !== null) {
-			    r.push({type: "ExpressionStatement",
-				    expression: {type: "AssignmentExpression",
+			    r.push(copyLocation(tree.declarations[i], {type: "ExpressionStatement",
+				    expression: copyLocation(tree.declarations[i], {type: "AssignmentExpression",
 						 operator: "=",
-						 left: tree.declarations[i].id,
-						 right: standardizeTree(tree.declarations[i].init)}});
+						 left: standardizeTree(tree.declarations[i].id),
+						 right: standardizeTree(tree.declarations[i].init)})}));
 			    r[0].declarations[i].init = null;
 			}
+			r[0].declarations[i].id = standardizeTree(tree.declarations[i].id);
 		    }
+		} else {
+		    // let and const declarations can't be split up.
+		    standardizeChildren(tree, r);
 		} break;
+        case "JSXElement":
+            // The closing tag only repeats the name of the opening one, and
+            // <li /> is the same as <li></li>.
+            standardizeChildren(tree, r);
+            delete r.closingElement;
+            delete r.openingElement.selfClosing;
+            r.children = _.reject(r.children, function(child) {
+                return child.type === "JSXText" && child.value === "";
+            });
+            break;
+        case "JSXText":
+            r.value = r.raw = jsxText(tree.value);
+            break;
+        case "JSXAttribute":
+            // name="text" is the same as name={"text"}, and name alone is
+            // name={true}.
+            standardizeChildren(tree, r);
+            if (!r.value) {
+                r.value = copyLocation(tree, {type: "Literal", value: true, raw: "true"});
+            }
+            if (r.value.type === "Literal") {
+                r.value = copyLocation(r.value, {
+                    type: "JSXExpressionContainer",
+                    expression: r.value
+                });
+            }
+            break;
         case "Literal":
+            if (!_.isString(tree.raw)) {
+                break; // Not every parser keeps the raw text.
+            }
             r.raw = tree.raw
                 .replace(/^(?:\"(.*?)\"|\'(.*?)\')$/, function(match, p1, p2) {
                     return "\"" + ((p1 || "") + (p2 || ""))
                         .replace(/"|'/g, "\"") + "\"";
                 });
-            console.log(r.raw); break;
+            break;
 	    default:
-	        for (var key in tree) {
-		    if (!tree.hasOwnProperty(key) || !_.isObject(tree[key])) {
-			continue;
-		    }
-		    if (_.isArray(tree[key])) {
-			var ar = [];
-			for (var i in tree[key]) {  /* jshint forin:false */
-			    ar = ar.concat(standardizeTree(tree[key][i]));
-			}
-			r[key] = ar;
-		    } else {
-			r[key] = standardizeTree(tree[key]);
-		    }
-		}
+	        standardizeChildren(tree, r);
         }
         return r;
     }
 
+    /*
+     * Returns the text of a JSX text node as JSX renders it: lines are
+     * trimmed (except at the start and end of the text), and blank lines
+     * are left out, so the whitespace that only lays out the tags is gone.
+     */
+    function jsxText(text) {
+        var lines = text.split(/\r\n|\n|\r/);
+        return _.compact(_.map(lines, function(line, i) {
+            line = line.replace(/\t/g, " ");
+            if (i > 0) {
+                line = line.replace(/^ +/, "");
+            }
+            if (i < lines.length - 1) {
+                line = line.replace(/ +$/, "");
+            }
+            return line;
+        })).join(" ");
+    }
+
+    /*
+     * Standardizes each child of the tree into r, a copy of it.
+     */
+    function standardizeChildren(tree, r) {
+	for (var key in tree) {
+	    if (!tree.hasOwnProperty(key) || !_.isObject(tree[key])) {
+		continue;
+	    }
+	    if (_.isArray(tree[key])) {
+		var ar = [];
+		for (var i in tree[key]) {  /* jshint forin:false */
+		    ar = ar.concat(standardizeTree(tree[key][i]));
+		}
+		r[key] = ar;
+	    } else {
+		r[key] = standardizeTree(tree[key]);
+	    }
+	}
+    }
+
     /*
      * Returns true if the code (a string) matches the structure in rawStructure
      * Throws an exception if code is not parseable.
@@ -184,6 +605,61 @@
      *  returned as the property "failure" on the varCallbacks object if
      *  there is no valid match. A valid matching requires that every
      *  varCallback return true.
+     *  Structured.constraints has ready-made callbacks (see constraints).
+     *
+     * options.locations adds the source location of every match part to the
+     *  result (see addLocations).
+     *
+     * options.forbid is a structure, or list of structures, that must not
+     *  appear anywhere in the code. Their $vars refer to the same nodes as
+     *  the $vars of the same name in rawStructure. A $not(...) statement in
+     *  rawStructure likewise forbids its contents in the code block that the
+     *  enclosing structure block matches (see extractNegations).
+     *
+     * options.unordered lets the statements of every block match in any
+     *  order. A $unordered(...) statement does the same for just the
+     *  statements in it (see makeChoices). A $or(...) statement or
+     *  expression matches any one of its arguments, and the statements in a
+     *  $optional(...) statement may be left out (see addChoiceResults).
+     *
+     * options.direct requires the statements in each block of rawStructure
+     *  to be direct children of the code block it matches, rather than
+     *  anywhere inside it, and options.adjacent also requires them to be
+     *  consecutive. $direct(...) and $adjacent(...) statements do the same
+     *  for just the statements in them (see markStatements).
+     *
+     * options.where maps variable names like "$fn" to the properties
+     *  required of the node they match, as in {"$fn": {name: /^draw/}}
+     *  or {"$s": {value: ["Hello", "Hi"]}} (see meetsConditions). Nodes
+     *  without them are never tried as values of the variable.
+     *
+     * options.explain makes a failed match return a report of why it failed
+     *  (see explainFailure) instead of false.
+     *
+     * options.min, options.max and options.exactly limit how many distinct
+     *  matches (see matchAll) the code must have (see matchCount).
+     *
+     * options.maxSteps and options.timeoutMs limit how long the search for a
+     *  match may take. If it goes past either one, it stops and returns an
+     *  aborted report instead (see withBudget).
+     *
+     * options.parser is a function that parses the code and structure into
+     *  ESTree syntax trees, in place of Esprima, and options.parserOptions
+     *  are passed on to it, like {sourceType: "module"} (see parseCode).
+     *  setParser changes the parser for every match.
+     *
+     * options.tolerant matches code with syntax errors, leaving out the
+     *  parts that can't be parsed (see parseTolerant). The result, or the
+     *  failure report, has the errors as syntaxErrors. A plain failure is
+     *  still false, without them (see check).
+     *
+     * options.comments makes the comments in the structure required: a
+     *  comment before part of the structure must be right before the code
+     *  it matches, and one inside it must be inside that code. _ and $vars
+     *  in them stand for any text (see matchComments).
+     *
+     * Mistakes in the structure or options throw a StructureError, and code
+     *  that can't be parsed a CodeParseError (see errorClass).
      *
      * Advanced Example:
      *   var varCallbacks = [
@@ -203,274 +679,2222 @@
      *   };
      *   match(code, rawStructure, {varCallbacks: varCallbacks});
      */
-    var originalVarCallbacks;
     function match(code, rawStructure, options) {
-        options = options || {};
-        // Many possible inputs formats are accepted for varCallbacks
-        // Constraints can be:
-        // 1. a function (from which we will extract the variables)  
-        // 2. an objects (which already has separate .fn and .variables properties)
-        //
-        // It will also accept a list of either of the above (or a mix of the two).
-        // Finally it can accept an object for which the keys are the variables and 
-        // the values are the callbacks (This option is mainly for historical reasons)
-        var varCallbacks = options.varCallbacks || [];
-        // We need to keep a hold of the original varCallbacks object because 
-        // When structured first came out it returned the failure message by 
-        // changing the .failure property on the varCallbacks object and some uses rely on that.
-        // We hope to get rid of this someday.
-        // TODO: Change over the code so to have a better API
-        originalVarCallbacks = varCallbacks;
-        if (varCallbacks instanceof Function || (varCallbacks.fn && varCallbacks.variables)) {
-            varCallbacks = [varCallbacks];
-        }
-        if (varCallbacks instanceof Array) {
-            for (var key in varCallbacks) {
-                if (varCallbacks[key] instanceof Function) {
-                    varCallbacks[key] = makeConstraint(varCallbacks[key]);
-                }
-            }
-        } else {
-            var realCallbacks = [];
-            for (var vars in varCallbacks) {
-                if (varCallbacks.hasOwnProperty(vars) && vars !== "failure") {
-                    realCallbacks.push({
-                        variables: vars.match(/[$_a-zA-z0-9]+/g),
-                        fn: varCallbacks[vars]
-                    });
-                }
-            }
-            varCallbacks = realCallbacks;
-        }
-        var wildcardVars = {
-            order: [],
-            skipData: {},
-            values: {}
-        };
-        // Note: After the parse, structure contains object references into
-        // wildcardVars[values] that must be maintained. So, beware of
-        // JSON.parse(JSON.stringify), etc. as the tree is no longer static.
-        var structure = parseStructureWithVars(rawStructure, wildcardVars);
-
-        // Cache the parsed code tree, or pull from cache if it exists
-        var codeTree = (cachedCode === code ?
-            cachedCodeTree :
-            typeof code === "object" ?
-            deepClone(code) :
-            esprima.parse(code));
-
-        cachedCode = code;
-        cachedCodeTree = codeTree;
-
-        foldConstants(codeTree);
-        var toFind = structure.body || structure;
-        var peers = [];
-        if (_.isArray(structure.body)) {
-            toFind = structure.body[0];
-            peers = structure.body.slice(1);
-        }
-        var result;
-        var matchResult = {
-            _: [],
-            vars: {}
-        };
-	codeTree = standardizeTree(codeTree);
-        if (wildcardVars.order.length === 0 || options.single) {
-            // With no vars to match, our normal greedy approach works great.
-            result = checkMatchTree(codeTree, toFind, peers, wildcardVars, matchResult, options);
-        } else {
-            // If there are variables to match, we must do a potentially
-            // exhaustive search across the possible ways to match the vars.
-            result = anyPossible(0, wildcardVars, varCallbacks, matchResult, options);
-        }
-        return result;
+        return withFailureMessage(options, function(options) {
+            return findFirst(code, rawStructure, options);
+        });
+    }
 
-        /*
-         * Checks whether any possible valid variable assignment for this i
-         *  results in a valid match.
-         *
-         * We orchestrate this check by building skipData, which specifies
-         *  for each variable how many possible matches it should skip before
-         *  it guesses a match. The iteration over the tree is the same
-         *  every time -- if the first guess fails, the next run will skip the
-         *  first guess and instead take the second appearance, and so on.
-         *
-         * When there are multiple variables, changing an earlier (smaller i)
-         *  variable guess means that we must redo the guessing for the later
-         *  variables (larger i).
-         *
-         * Returning false involves exhausting all possibilities. In the worst
-         *  case, this will mean exponentially many possibilities -- variables
-         *  are expensive for all but small tests.
-         *
-         * wildcardVars = wVars:
-         *     .values[varName] contains the guessed node value of each
-         *     variable, or the empty object if none.
-         *     .skipData[varName] contains the number of potential matches of
-         *          this var to skip before choosing a guess to assign to values
-         *     .leftToSkip[varName] stores the number of skips left to do
-         *         (used during the match algorithm)
-         *     .order[i] is the name of the ith occurring variable.
-         */
-        function anyPossible(i, wVars, varCallbacks, matchResults, options) {
-            var order = wVars.order; // Just for ease-of-notation.
-            wVars.skipData[order[i]] = 0;
-            do {
-                // Reset the skip # for all later variables.
-                for (var rest = i + 1; rest < order.length; rest += 1) {
-                    wVars.skipData[order[rest]] = 0;
-                }
-                // Check for a match only if we have reached the last var in
-                // order (and so set skipData for all vars). Otherwise,
-                // recurse to check all possible values of the next var.
-                if (i === order.length - 1) {
-                    // Reset the wildcard vars' guesses. Delete the properties
-                    // rather than setting to {} in order to maintain shared
-                    // object references in the structure tree (toFind, peers)
-                    _.each(wVars.values, function(value, key) {
-                        _.each(wVars.values[key], function(v, k) {
-                            delete wVars.values[key][k];
-                        });
-                    });
-                    wVars.leftToSkip = _.extend({}, wVars.skipData);
-                    // Use a copy of peers because peers is destructively
-                    // modified in checkMatchTree (via checkNodeArray).
-                    if (checkMatchTree(codeTree, toFind, peers.slice(), wVars, matchResults, options) &&
-                        checkUserVarCallbacks(wVars, varCallbacks)) {
-                        return matchResults;
-                    }
-                } else if (anyPossible(i + 1, wVars, varCallbacks, matchResults, options)) {
-                    return matchResults;
-                }
-                // This guess didn't work out -- skip it and try the next.
-                wVars.skipData[order[i]] += 1;
-                // The termination condition is when we have run out of values
-                // to skip and values is no longer defined for this var after
-                // the match algorithm. That means that there is no valid
-                // assignment for this and later vars given the assignments to
-                // previous vars (set by skipData).
-            } while (!_.isEmpty(wVars.values[order[i]]));
-            return false;
+    /*
+     * Like match, but never changes its arguments or any state kept between
+     * calls, so it is safe to call from within varCallbacks, or while
+     * another match is in progress. Instead of setting the failure message
+     * on the varCallbacks object, returns
+     *     {matched: false, failure, failures}
+     * when there is no match, where failure and failures are as in the
+     * report of explainFailure. (With options.explain, or a limit on the
+     * search, the report is returned as usual.) A successful match returns
+     * the result of match, with matched: true.
+     *
+     * Example:
+     *     var result = check("rect(1, 2);", function() { rect($x, 3); });
+     *     // => {matched: false, failure: null, failures: null}
+     */
+    function check(code, rawStructure, options) {
+        var tracker = failureTracker();
+        options = _.extend({}, options, {
+            failureTracker: tracker,
+            uncached: true
+        });
+        var result = findFirst(code, rawStructure, options);
+        if (!result) {
+            return addSyntaxErrors({
+                matched: false,
+                failure: tracker.failure,
+                failures: tracker.failures
+            }, options);
         }
+        return result.matched === false ? result :
+            _.extend(result, {matched: true});
     }
 
     /*
-     * Checks the user-defined variable callbacks and returns a boolean for
-     *   whether or not the wVars assignment of the wildcard variables results
-     *   in every varCallback returning true as required.
-     *
-     * If any varCallback returns false, this function also returns false.
-     *
-     * Format of varCallbacks: An object containing:
-     *     keys of the form: "$someVar" or "$foo, $bar, $baz" to mimic an
-     *        array (as JS keys must be strings).
-     *     values containing function callbacks. These callbacks must return
-     *        true/false. They may alternately return an object of the form
-     *        {failure: "The failure message."}. If the callback returns the
-     *        failure object, then the relevant failure message will be returned
-     *        via varCallbacks.failure.
-     *        These callbacks are passed a parameter list corresponding to
-     *         the Esprima parse structures assigned to the variables in
-     *         the key (see example).
-     *
-     * Example varCallbacks object:
-     *    {
-     *     "$foo": function(fooObj) {
-     *         return fooObj.value > 92;
-     *     },
-     *     "$foo, $bar, $baz": function(fooObj, barObj, bazObj) {
-     *         if (fooObj.value > barObj.value) {
-     *            return {failure: "Check the relationship between values."}
-     *         }
-     *         return bazObj !== 48;
+     * Returns a new tracker of the varCallbacks failures in a match:
+     *     {
+     *       failure: the failure message to report, or null,
+     *       failures: the failures of the best assignment of the variables
+     *           tried (see checkUserVarCallbacks), or null,
+     *       syntaxErrors: the syntax errors recovered from in the code (see
+     *           parseTolerant), once it is parsed
      *     }
-     *   }
+     * Searches find it in options.failureTracker.
      */
-    function checkUserVarCallbacks(wVars, varCallbacks) {
-        // Clear old failure message if needed
-        delete originalVarCallbacks.failure;
-        for (var key in varCallbacks) {  /* jshint forin:false */
-            // Property strings may be "$foo, $bar, $baz" to mimic arrays.
-            var varNames = varCallbacks[key].variables;
-            var varValues = _.map(varNames, function(varName) {
-                varName = stringLeftTrim(varName); // Trim whitespace
-                // If the var name is in the structure, then it will always
-                // exist in wVars.values after we find a match prior to
-                // checking the var callbacks. So, if a variable name is not
-                // defined here, it is because that var name does not exist in
-                // the user-defined structure.
-                if (!_.has(wVars.values, varName)) {
-                    console.error("Callback var " + varName + " doesn't exist");
-                    return undefined;
-                }
-                // Convert each var name to the Esprima structure it has
-                // been assigned in the parse. Make a deep copy.
-                return deepClone(wVars.values[varName]);
-            });
-            // Call the user-defined callback, passing in the var values as
-            // parameters in the order that the vars were defined in the
-            // property string.
-            var result = varCallbacks[key].fn.apply(null, varValues);
-            if (!result || _.has(result, "failure")) {
-                // Set the failure message if the user callback provides one.
-                if (_.has(result, "failure")) {
-                    originalVarCallbacks.failure = result.failure;
-                }
-                return false;
-            }
+    function failureTracker() {
+        return {failure: null, failures: null, syntaxErrors: null};
+    }
+
+    /*
+     * With options.tolerant, adds the syntax errors recovered from in the
+     * code to a match result or failure report, as syntaxErrors. Returns
+     * the result.
+     */
+    function addSyntaxErrors(result, options) {
+        if (options.tolerant) {
+            result.syntaxErrors = options.failureTracker.syntaxErrors || [];
         }
-        return true;
+        return result;
+    }
 
-        /* Trim is only a string method in IE9+, so use a regex if needed. */
-        function stringLeftTrim(str) {
-            if (String.prototype.trim) {
-                return str.trim();
+    /*
+     * Runs search(options) with a failure tracker added to a copy of the
+     * options, and then sets its failure message on the varCallbacks
+     * object, or removes the old one if there is none. When structured
+     * first came out it returned the failure message this way, and some uses
+     * rely on that (check returns it in the result instead).
+     */
+    function withFailureMessage(options, search) {
+        options = options || {};
+        var tracker = failureTracker();
+        var result = search(_.extend({}, options, {failureTracker: tracker}));
+        if (options.varCallbacks) {
+            if (tracker.failure !== null) {
+                options.varCallbacks.failure = tracker.failure;
+            } else {
+                delete options.varCallbacks.failure;
             }
-            return str.replace(/^\s+|\s+$/g, "");
         }
+        return result;
     }
 
-    function parseStructure(structure) {
-        if (typeof structure === "object") {
-            return deepClone(structure);
+    /*
+     * Does the work of match, with options.failureTracker set (see
+     * failureTracker).
+     */
+    function findFirst(code, rawStructure, options) {
+        if (needsBudget(options)) {
+            return withBudget(options, function(options) {
+                return findFirst(code, rawStructure, options);
+            });
         }
-
-        if (structureCache[structure]) {
-            return JSON.parse(structureCache[structure]);
+        if (countLimits(options)) {
+            return matchCount(code, rawStructure, options);
         }
+        var prepared = prepareMatch(code, rawStructure, options);
+        var codeTree = prepared.codeTree;
+        var toFind = prepared.toFind;
+        var peers = prepared.peers;
+        checkBudget(options);
 
-        // Wrapped in parentheses so function() {} becomes valid Javascript.
-        var fullTree = esprima.parse("(" + structure + ")");
+        var result = findMatch(function(state, done) {
+            return findStructure(codeTree, toFind, peers, state, done);
+        }, prepared.wildcardVars, prepared.varCallbacks, options);
 
-        if (fullTree.body[0].expression.type !== "FunctionExpression" ||
-            !fullTree.body[0].expression.body) {
-            throw "Poorly formatted structure code";
+        if (result && options.locations) {
+            addLocations(result, code);
         }
+        if (result) {
+            options.failureTracker.failure = null;
+            addChoiceResults(result, prepared);
+            addSyntaxErrors(result, options);
+        }
+        if (!result && options.explain) {
+            return addSyntaxErrors(explainFailure(code, prepared, options),
+                options);
+        }
+        return result;
+    }
+
+    /*
+     * Returns the first match of rawStructure in the code, if the number of
+     * distinct matches (see matchAll) is at least options.min and at most
+     * options.max. options.exactly sets both. The result also has count,
+     * the number of matches, and matches, the list of all of them. If no
+     * matches were needed and none were found, the result's root is null.
+     *
+     * Otherwise returns false, with a failure message giving the number of
+     * matches found on the varCallbacks object, or with options.explain a
+     * report (see explainFailure) with reason "count" and the count.
+     */
+    function matchCount(code, rawStructure, options) {
+        var limits = countLimits(options);
+        var matches = findAll(code, rawStructure,
+            _.omit(options, "min", "max", "exactly", "explain"));
+        if (matches.aborted) {
+            return matches;
+        }
+        var count = matches.length;
+        if (count >= limits.min && count <= limits.max) {
+            var result = matches[0] || {_: [], vars: {}, root: null};
+            return addSyntaxErrors(_.extend(result, {count: count, matches: matches}),
+                options);
+        }
+
+        var expected = limits.min === limits.max ? "exactly " + limits.min :
+            count < limits.min ? "at least " + limits.min :
+            "at most " + limits.max;
+        var failure = "Found " + count + (count === 1 ? " match" : " matches") +
+            ", but expected " + expected + ".";
+        options.failureTracker.failure = failure;
+        if (options.explain) {
+            return addSyntaxErrors(_.extend(failureReport(failure),
+                {reason: "count", count: count}), options);
+        }
+        return false;
+    }
+
+    /*
+     * Returns whether the options limit the search (with maxSteps or
+     * timeoutMs) and it is not already being counted.
+     */
+    function needsBudget(options) {
+        return !options.budget && (_.isNumber(options.maxSteps) ||
+            _.isNumber(options.timeoutMs));
+    }
+
+    /*
+     * Runs search(options) with a budget for the steps and time it may take
+     * (see useStep), which all of its searches share. If the search runs
+     * out, returns a report of where it stopped instead:
+     *     {
+     *       matched: false,
+     *       aborted: true,
+     *       reason: "maxSteps" or "timeoutMs", for the limit that was hit,
+     *       steps: how many steps were taken,
+     *       elapsed: how many milliseconds the search took
+     *     }
+     */
+    function withBudget(options, search) {
+        var budget = {
+            steps: 0,
+            maxSteps: _.isNumber(options.maxSteps) ? options.maxSteps : Infinity,
+            timeoutMs: _.isNumber(options.timeoutMs) ? options.timeoutMs : Infinity,
+            start: new Date().getTime(),
+            reason: null
+        };
+        try {
+            return search(_.extend({}, options, {budget: budget}));
+        } catch (e) {
+            if (e !== budget) {
+                throw e;
+            }
+            return {
+                matched: false,
+                aborted: true,
+                reason: budget.reason,
+                steps: budget.steps,
+                elapsed: new Date().getTime() - budget.start
+            };
+        }
+    }
+
+    /*
+     * Counts one step of the search (a comparison of a structure node with a
+     * code node) against the budget in options, if there is one. When the
+     * budget has run out, throws it to stop the search (see withBudget).
+     */
+    function useStep(options) {
+        checkBudget(options);
+        if (options.budget) {
+            options.budget.steps += 1;
+        }
+    }
+
+    /*
+     * Throws the budget in options, if there is one, when it has run out
+     * (see useStep). The time taken to parse and prepare a match counts too.
+     */
+    function checkBudget(options) {
+        var budget = options.budget;
+        if (!budget) {
+            return;
+        }
+        if (budget.steps >= budget.maxSteps) {
+            budget.reason = "maxSteps";
+        } else if (new Date().getTime() - budget.start >= budget.timeoutMs) {
+            budget.reason = "timeoutMs";
+        }
+        if (budget.reason) {
+            throw budget;
+        }
+    }
+
+    /*
+     * Returns the limits on the number of matches set in options, as
+     * {min, max}, or null if there are none.
+     */
+    function countLimits(options) {
+        if (_.isNumber(options.exactly)) {
+            return {min: options.exactly, max: options.exactly};
+        }
+        if (!_.isNumber(options.min) && !_.isNumber(options.max)) {
+            return null;
+        }
+        return {
+            min: _.isNumber(options.min) ? options.min : 0,
+            max: _.isNumber(options.max) ? options.max : Infinity
+        };
+    }
+
+    /*
+     * Returns a list of every distinct match of rawStructure in the code,
+     * each of the same form as a single match() result ({_, vars, root}),
+     * in the order that their roots appear in the code. Returns an empty
+     * list if there is no match.
+     *
+     * Every node of the code is tried as the root of a match. Peers of the
+     * first structure statement are searched for among the siblings that
+     * follow the root, as in match().
+     *
+     * By default matches do not overlap: once a match is found, the nodes
+     * it covers (the root, the siblings up to its last peer, and all of
+     * their children) are not tried again. Set options.overlap to true to
+     * also report matches rooted inside an earlier match.
+     *
+     * Example:
+     *     var code = "rect(1, 2, 3, 4); fill(255); rect(5, 6, 7, 8);";
+     *     matchAll(code, function() { rect($x, $y, _, _); });
+     *     // => [{..., vars: {x: 1, y: 2}}, {..., vars: {x: 5, y: 6}}]
+     */
+    function matchAll(code, rawStructure, options) {
+        return withFailureMessage(options, function(options) {
+            return findAll(code, rawStructure, options);
+        });
+    }
+
+    /*
+     * Does the work of matchAll, with options.failureTracker set (see
+     * failureTracker).
+     */
+    function findAll(code, rawStructure, options) {
+        if (needsBudget(options)) {
+            return withBudget(options, function(options) {
+                return findAll(code, rawStructure, options);
+            });
+        }
+        var prepared = prepareMatch(code, rawStructure, options);
+        checkBudget(options);
+        var statements = [prepared.toFind].concat(prepared.peers);
+        var results = [];
+        var covered = [];
+
+        eachCandidate(prepared.codeTree, null, -1, [], function(node, siblings, index, ancestors) {
+            if (!options.overlap && (_.contains(covered, node) ||
+                    _.intersection(covered, ancestors).length > 0)) {
+                return;
+            }
+            var extent = {};
+            var result = findMatch(function(state, done) {
+                var finish = function(last) {
+                    extent.last = last;
+                    return done();
+                };
+                if (!siblings) {
+                    // A node outside a list can only match one statement.
+                    return statements.length === 1 &&
+                        exactMatchNode(node, prepared.toFind, state, done);
+                }
+                return matchStatement(siblings, index, statements, state,
+                    true, function(next, rest, last) {
+                        return findInList(siblings, next, rest, 1, last, state,
+                            finish);
+                    }, function() {
+                        return false; // Anchored statements are not searched for.
+                    });
+            }, prepared.wildcardVars, prepared.varCallbacks, options);
+
+            if (result) {
+                if (options.locations) {
+                    addLocations(result, code);
+                }
+                addChoiceResults(result, prepared);
+                addSyntaxErrors(result, options);
+                results.push(result);
+                covered.push(node);
+                if (siblings) {
+                    covered = covered.concat(siblings.slice(index + 1, extent.last + 1));
+                }
+            }
+        });
+        return results;
+    }
+
+    /*
+     * Adds what the alternatives chosen in a match (see eachAlternative)
+     * left out to its result: optional, whether each $optional(...)
+     * statement of the structure was found (if it has any), and a null
+     * value for each variable that only appears in parts of the structure
+     * that were not matched.
+     */
+    function addChoiceResults(result, prepared) {
+        if (prepared.optionals.length > 0) {
+            result.optional = _.map(prepared.optionals, function(optional) {
+                return optional.chosen === 0;
+            });
+        }
+        _.each(prepared.wildcardVars.loose, function(varName) {
+            var name = varName.slice(1);
+            if (!_.has(result.vars, name)) {
+                result.vars[name] = null;
+            }
+        });
+    }
+
+    /*
+     * Calls callback(node, siblings, index, ancestors) for every syntax node
+     * in tree other than the Program, in source (pre-)order. siblings and
+     * index locate the node in its parent's array, if it is in one
+     * (otherwise siblings is null).
+     */
+    function eachCandidate(tree, siblings, index, ancestors, callback) {
+        if (!_.isObject(tree)) {
+            return;
+        }
+        if (_.isArray(tree)) {
+            for (var i = 0; i < tree.length; i += 1) {
+                eachCandidate(tree[i], tree, i, ancestors, callback);
+            }
+            return;
+        }
+        if (tree.type) {
+            callback(tree, siblings, index, ancestors);
+        }
+        var childAncestors = ancestors.concat([tree]);
+        for (var key in tree) {  /* jshint forin:false */
+            if (tree.hasOwnProperty(key) && _.isObject(tree[key]) &&
+                    !isSourceKey(key)) {
+                eachCandidate(tree[key], null, -1, childAncestors, callback);
+            }
+        }
+    }
+
+    /*
+     * Parses the code and structure and normalizes the varCallbacks given
+     * in options, returning everything needed to run a match:
+     *     {codeTree, varCallbacks, varNames, toFind, peers, wildcardVars,
+     *      optionals}
+     * toFind is the first statement of the structure (see
+     * parseStructureWithVars) and peers the rest, and varNames has the
+     * names of its variables. With options.comments, the comments of the
+     * code are indexed as options.codeComments (see commentIndex).
+     */
+    function prepareMatch(code, rawStructure, options) {
+        // Many possible inputs formats are accepted for varCallbacks
+        // Constraints can be:
+        // 1. a function (from which we will extract the variables)  
+        // 2. an objects (which already has separate .fn and .variables properties)
+        //
+        // 3. a declarative description with a .variable property (see
+        //    makeDeclarativeConstraint)
+        //
+        // It will also accept a list of any of the above (or a mix of them).
+        // Finally it can accept an object for which the keys are the variables and 
+        // the values are the callbacks (This option is mainly for historical reasons)
+        // or declarative descriptions.
+        // The user's varCallbacks are left as they are; the normalized
+        // constraints are new objects.
+        var varCallbacks = options.varCallbacks || [];
+        if (varCallbacks instanceof Function || (varCallbacks.fn && varCallbacks.variables) ||
+                _.isString(varCallbacks.variable)) {
+            varCallbacks = [varCallbacks];
+        }
+        if (varCallbacks instanceof Array) {
+            varCallbacks = _.map(varCallbacks, function(callback) {
+                if (callback instanceof Function) {
+                    return makeConstraint(callback);
+                } else if (_.isString(callback.variable)) {
+                    return makeDeclarativeConstraint([callback.variable],
+                        _.omit(callback, "variable"));
+                }
+                return callback;
+            });
+        } else {
+            var realCallbacks = [];
+            for (var vars in varCallbacks) {
+                if (varCallbacks.hasOwnProperty(vars) && vars !== "failure") {
+                    var callbackVars = vars.match(/[$_a-zA-z0-9]+/g);
+                    realCallbacks.push(varCallbacks[vars] instanceof Function ? {
+                        variables: callbackVars,
+                        fn: varCallbacks[vars]
+                    } : makeDeclarativeConstraint(callbackVars, varCallbacks[vars]));
+                }
+            }
+            varCallbacks = realCallbacks;
+        }
+        // Note: After the parse, the structure contains object references
+        // into its wildcardVars[values] that must be maintained. So, beware
+        // of JSON.parse(JSON.stringify), etc. as the tree is no longer static.
+        var parsedStructure = parseStructureWithVars(rawStructure, options);
+
+        // Cache the parsed code tree, or pull from cache if it exists
+        // (see usesCache).
+        // Comments are found by their place in the code (see commentIndex).
+        var comments = !!options.comments;
+        var locations = !!options.locations || comments;
+        var tolerant = !!options.tolerant;
+        var cached = usesCache(options) && cachedCode === code &&
+            cachedCodeLocations === locations && cachedCodeTolerant === tolerant &&
+            cachedCodeComments === comments;
+        var syntaxErrors = cached ? cachedCodeErrors : [];
+        var codeTree;
+        if (cached) {
+            codeTree = cachedCodeTree;
+        } else if (typeof code === "object") {
+            codeTree = deepClone(code);
+        } else {
+            try {
+                if (tolerant) {
+                    var parsed = parseTolerant(code, options, locations, comments);
+                    codeTree = parsed.tree;
+                    syntaxErrors = parsed.syntaxErrors;
+                } else {
+                    codeTree = parseCode(code, options, locations, comments);
+                }
+            } catch (e) {
+                var error = syntaxError(e);
+                throw error ? new CodeParseError("CODE_SYNTAX_ERROR", error.message,
+                    {location: _.omit(error, "message")}) : e;
+            }
+        }
+        options.failureTracker.syntaxErrors = syntaxErrors;
+
+        if (usesCache(options)) {
+            cachedCode = code;
+            cachedCodeTree = codeTree;
+            cachedCodeLocations = locations;
+            cachedCodeTolerant = tolerant;
+            cachedCodeComments = comments;
+            cachedCodeErrors = syntaxErrors;
+        }
+        options.codeComments = comments && _.isString(code) && codeTree.comments ?
+            commentIndex(code, codeTree.comments) : null;
+
+        foldConstants(codeTree);
+	codeTree = standardizeTree(codeTree);
+        var structure = parsedStructure.structure;
+        var toFind = structure.body || structure;
+        var peers = [];
+        if (_.isArray(structure.body)) {
+            toFind = structure.body[0];
+            peers = structure.body.slice(1);
+        }
+        // Negations at the top level of the structure (and forbidden
+        // structures) apply to the whole code.
+        _.each(parsedStructure.wildcardVars.negations, function(negation) {
+            if (negation.parent === structure || negation.parent === null) {
+                negation.parent = null;
+                negation.scope = codeTree;
+            }
+        });
+        var varNames = _.map(parsedStructure.wildcardVars.order, function(name) {
+            return name.slice(1);
+        });
+        checkCallbackVariables(varCallbacks, varNames);
+        checkWhereVariables(options.where, parsedStructure.wildcardVars);
+        return {
+            codeTree: codeTree,
+            toFind: toFind,
+            peers: peers,
+            wildcardVars: parsedStructure.wildcardVars,
+            optionals: parsedStructure.optionals,
+            varNames: varNames,
+            varCallbacks: varCallbacks
+        };
+    }
+
+    /*
+     * Throws a StructureError for a callback on a variable that doesn't
+     * appear in the structure (varNames, without their $), or on no
+     * variables at all, like a constraint helper given without its
+     * variables, which would never be called.
+     */
+    function checkCallbackVariables(varCallbacks, varNames) {
+        _.each(varCallbacks, function(callback) {
+            if (_.isEmpty(callback.variables)) {
+                throw new StructureError("MISSING_CALLBACK_VARIABLES",
+                    "Callback has no variables (parameters beginning with a '$')");
+            }
+            _.each(callback.variables, function(varName) {
+                if (!_.contains(varNames, varName.slice(1))) {
+                    throw new StructureError("UNKNOWN_CALLBACK_VARIABLE",
+                        "Callback var " + varName + " doesn't exist in the structure",
+                        {variable: varName});
+                }
+            });
+        });
+    }
+
+    /*
+     * Throws a StructureError for an options.where condition (see match) on
+     * a variable that doesn't appear in the structure (wVars), or in its
+     * $not and forbidden structures.
+     */
+    function checkWhereVariables(where, wVars) {
+        var varNames = _.union.apply(_, [wVars.order].concat(
+            _.map(wVars.negations, function(negation) {
+                return negation.wVars.order;
+            })));
+        _.each(_.keys(where || {}), function(varName) {
+            if (!_.contains(varNames, varName)) {
+                throw new StructureError("UNKNOWN_WHERE_VARIABLE",
+                    "Condition var " + varName + " doesn't exist in the structure",
+                    {variable: varName});
+            }
+        });
+    }
+
+    /*
+     * Parses the code into an ESTree Program with options.parser, or else
+     * the parser set with setParser (Esprima by default). The parser is
+     * called as parser(code, parserOptions), where parserOptions has
+     * locations, whether the nodes need source locations, along with
+     * options.parserOptions, which are added to those given to setParser
+     * when options.parser is not set. With comments, parserOptions.comments
+     * is set too, and the Program should have a comments list of every
+     * comment in the code, as {type: "Line" or "Block", value, range}.
+     *
+     * The matcher supports ESTree nodes (https://github.com/estree/estree)
+     * as plain data, up to ES2017. Literals should have their raw source
+     * text. With locations, every node needs its loc, and its range as
+     * [start, end] for the source text to be reported. Other location
+     * properties (start and end) are ignored.
+     */
+    function parseCode(code, options, locations, comments) {
+        var parser = options.parser || defaultParser.parse;
+        var parserOptions = _.extend({}, options.parser ? {} : defaultParser.options,
+            options.parserOptions, {locations: !!locations});
+        if (comments) {
+            parserOptions.comments = true;
+        }
+        return parser(code, parserOptions);
+    }
+
+    /*
+     * Parses the code (see parseCode), recovering from syntax errors by
+     * leaving out the broken parts. At the end of the code, any brackets
+     * left open are closed; otherwise the statement with the error is
+     * blanked out (see blankStatement), and the code is parsed again.
+     * Blanking keeps the locations of the rest of the code. Returns
+     *     {tree, syntaxErrors: [{message, line, column, index}]}
+     * with an entry for each error that was recovered from, where line
+     * counts from 1 and column from 0, as in node locations.
+     */
+    function parseTolerant(code, options, locations, comments) {
+        var syntaxErrors = [];
+        var text = code;
+        // Every retry blanks a statement or line, so this many is always
+        // enough.
+        var tries = code.split(/[;\n]/).length + 1;
+        var error;
+        while (true) {
+            try {
+                return {
+                    tree: parseCode(text, options, locations, comments),
+                    syntaxErrors: syntaxErrors
+                };
+            } catch (e) {
+                error = syntaxError(e);
+                if (!error || tries === 0) {
+                    throw e;
+                }
+                tries -= 1;
+                syntaxErrors.push(error);
+            }
+            if (error.index >= text.replace(/\s+$/, "").length) {
+                var closed = text + "\n" + closingBrackets(text);
+                try {
+                    return {
+                        tree: parseCode(closed, options, locations, comments),
+                        syntaxErrors: syntaxErrors
+                    };
+                } catch (e) {
+                    // Fall back to blanking out the end of the code.
+                }
+            }
+            text = blankStatement(text, error.index);
+        }
+    }
+
+    /*
+     * Returns the location of a parser's syntax error e, as an entry of
+     * syntaxErrors (see parseTolerant), or null if it has none. Both
+     * Esprima's and acorn's errors are understood.
+     */
+    function syntaxError(e) {
+        if (!e || !_.isNumber(e.index) && !_.isNumber(e.pos)) {
+            return null;
+        }
+        var esprimaError = _.isNumber(e.index);
+        return {
+            message: e.description || e.message,
+            line: esprimaError ? e.lineNumber : e.loc.line,
+            // Esprima counts columns from 1.
+            column: esprimaError ? e.column - 1 : e.loc.column,
+            index: esprimaError ? e.index : e.pos
+        };
+    }
+
+    /*
+     * Returns the text with the statement at index replaced by spaces. The
+     * statement runs from the last ;, bracket or line break before index to
+     * the next ; (included) or line break, skipping over strings and
+     * comments (see skipLiteral). If that is already blank, or the error is
+     * inside parentheses (as in a for loop's header, where ; doesn't end a
+     * statement), the line is blanked instead (see blankLine).
+     */
+    function blankStatement(text, index) {
+        index = Math.min(index, text.length);
+        var start = 0;
+        var depth = 0;
+        var i;
+        for (i = 0; i < index; i++) {
+            var skipped = skipLiteral(text, i);
+            var c = text.charAt(i);
+            if (skipped !== i) {
+                i = skipped;
+            } else if (/[;{}\n]/.test(c)) {
+                start = i + 1;
+                depth = c === "\n" ? 0 : depth;
+            } else if (c === "(" || c === ")") {
+                depth += c === "(" ? 1 : -1;
+            }
+        }
+        if (depth > 0) {
+            return blankLine(text, index);
+        }
+        // An error inside a string or comment leaves i after it.
+        var end = i;
+        while (end < text.length && !/[;\n]/.test(text.charAt(end))) {
+            end = skipLiteral(text, end) + 1;
+        }
+        end = Math.min(end, text.length);
+        if (text.charAt(end) === ";") {
+            end += 1;
+        }
+        var statement = text.slice(start, end);
+        if (!/\S/.test(statement)) {
+            return blankLine(text, index);
+        }
+        return text.slice(0, start) + statement.replace(/\S/g, " ") +
+            text.slice(end);
+    }
+
+    /*
+     * Returns the text with the line at index replaced by spaces, or if it
+     * is already blank, the last line before it that isn't.
+     */
+    function blankLine(text, index) {
+        var end = Math.min(index, text.length);
+        var start;
+        do {
+            start = text.lastIndexOf("\n", end - 1) + 1;
+            var lineEnd = text.indexOf("\n", start);
+            lineEnd = lineEnd === -1 ? text.length : lineEnd;
+            var line = text.slice(start, lineEnd);
+            if (/\S/.test(line)) {
+                return text.slice(0, start) + line.replace(/\S/g, " ") +
+                    text.slice(lineEnd);
+            }
+            end = start - 1;
+        } while (start > 0);
+        return text;
+    }
+
+    /*
+     * Returns the brackets that close those left open at the end of the
+     * code, skipping over strings and comments (see skipLiteral).
+     */
+    function closingBrackets(text) {
+        var pairs = {"(": ")", "[": "]", "{": "}"};
+        var open = [];
+        for (var i = 0; i < text.length; i++) {
+            var skipped = skipLiteral(text, i);
+            var c = text.charAt(i);
+            if (skipped !== i) {
+                i = skipped;
+            } else if (_.has(pairs, c)) {
+                open.push(pairs[c]);
+            } else if (c === ")" || c === "]" || c === "}") {
+                open.pop();
+            }
+        }
+        return open.reverse().join("");
+    }
+
+    /*
+     * Returns the index of the last character of the string or comment
+     * that starts at index i of the text (or the end of the text, if it is
+     * never closed), or i if none starts there. A line comment ends before
+     * its line break, and so does a quoted string left open.
+     */
+    function skipLiteral(text, i) {
+        var c = text.charAt(i);
+        var end;
+        if (c === "/" && text.charAt(i + 1) === "/") {
+            end = text.indexOf("\n", i);
+            return end === -1 ? text.length : end - 1;
+        }
+        if (c === "/" && text.charAt(i + 1) === "*") {
+            end = text.indexOf("*/", i + 2);
+            return end === -1 ? text.length : end + 1;
+        }
+        if (c === "\"" || c === "'" || c === "`") {
+            end = i + 1;
+            while (end < text.length && text.charAt(end) !== c &&
+                    (c === "`" || text.charAt(end) !== "\n")) {
+                end += text.charAt(end) === "\\" ? 2 : 1;
+            }
+            return c !== "`" && text.charAt(end) === "\n" ? end - 1 : end;
+        }
+        return i;
+    }
+
+    /*
+     * Indexes the comments of the source text (each with its range) by
+     * where they are, for matching comments (see matchComments):
+     *     {
+     *       before: maps the offset of the code that follows each run of
+     *           comments (with only whitespace between them) to the
+     *           comments of the run,
+     *       all: every comment, in source order
+     *     }
+     * Comments at the end of a line of code are about that code, so they
+     * are left out of the run that follows them.
+     */
+    function commentIndex(text, comments) {
+        var all = _.sortBy(comments, function(comment) {
+            return comment.range[0];
+        });
+        var before = {};
+        var run = [];
+        var space = /\s*/g;
+        _.each(all, function(comment, i) {
+            run.push(comment);
+            var next = all[i + 1];
+            if (next && !/\S/.test(text.slice(comment.range[1], next.range[0]))) {
+                return; // The run goes on.
+            }
+            space.lastIndex = comment.range[1];
+            space.exec(text);
+            var position = space.lastIndex;
+            var first = run[0].range[0];
+            var lineStart = text.lastIndexOf("\n", first - 1) + 1;
+            var lineEnd = text.indexOf("\n", first);
+            lineEnd = lineEnd === -1 ? text.length : lineEnd;
+            if (/\S/.test(text.slice(lineStart, first)) && lineEnd <= position) {
+                run = _.filter(run, function(comment) {
+                    return comment.range[0] > lineEnd;
+                });
+            }
+            if (run.length > 0) {
+                before[position] = run;
+            }
+            run = [];
+        });
+        return {before: before, all: all};
+    }
+
+    /*
+     * Returns the text of a comment, without the space around it or the *
+     * that may start each of its lines, as in /** ... *\/ comments.
+     */
+    function commentText(comment) {
+        return comment.value.replace(/^[ \t]*\*+/gm, "").replace(/^\s+|\s+$/g, "");
+    }
+
+    /*
+     * Parses the code with Esprima (the default parser, see parseCode) as a
+     * script, or as a module if it only parses as one (because it uses
+     * import or export), unless parserOptions.sourceType is set. Errors are
+     * those from parsing as a script. JSX is parsed unless parserOptions.jsx
+     * is false. parserOptions.comments collects the comments of the code as
+     * the Program's comments. Other parserOptions are passed on to Esprima.
+     */
+    function parseWithEsprima(code, parserOptions) {
+        var esprimaOptions = _.extend({jsx: true},
+            _.omit(parserOptions, "locations", "comments"), {
+            loc: parserOptions.locations,
+            range: parserOptions.locations,
+            comment: !!parserOptions.comments
+        });
+        if (parserOptions.sourceType) {
+            return esprima.parse(code, esprimaOptions);
+        }
+        try {
+            return esprima.parseScript(code, esprimaOptions);
+        } catch (scriptError) {
+            try {
+                return esprima.parseModule(code, esprimaOptions);
+            } catch (moduleError) {
+                throw scriptError;
+            }
+        }
+    }
+
+    /*
+     * Sets the parser (and parserOptions) used for matches that don't give
+     * options.parser (see parseCode). Call it with no parser to go back to
+     * Esprima. The cached parse trees are dropped.
+     */
+    function setParser(parser, parserOptions) {
+        defaultParser = {
+            parse: parser || parseWithEsprima,
+            options: parserOptions || {}
+        };
+        structureCache = {};
+        cachedCode = undefined;
+        cachedCodeTree = undefined;
+    }
+
+    /*
+     * Returns whether the parse trees of the code and structures may be
+     * cached for the options: not when they give their own parser, nor when
+     * options.uncached (see check).
+     */
+    function usesCache(options) {
+        return !(options && (options.uncached || options.parser ||
+            options.parserOptions));
+    }
+
+    /*
+     * Runs search(state, done), which walks the code looking for the
+     * structure (see findInTree), and returns the match results, or false if
+     * there is no match.
+     *
+     * The search state holds the wildcard vars (state.wVars), the options,
+     * the match results so far (state.results) and the trail of changes to
+     * undo when backtracking (state.trail). The search calls done once it
+     * has matched the whole structure, which checks the negations and the
+     * varCallbacks against the variable assignments made along the way. If
+     * they fail, the search backtracks to try the next possible assignment.
+     * In the worst case, this means exponentially many possibilities, but
+     * each variable is only assigned where the structure around it matches.
+     *
+     * wildcardVars = wVars:
+     *     .values[varName] contains the node assigned to each variable, or
+     *     the empty object if none.
+     *     .order[i] is the name of the ith occurring variable.
+     */
+    function findMatch(search, wildcardVars, varCallbacks, options) {
+        var state = {
+            wVars: wildcardVars,
+            options: options,
+            results: {
+                _: [],
+                vars: {}
+            },
+            trail: []
+        };
+        resetWildcardVars(wildcardVars);
+        resetNegationScopes(wildcardVars);
+        resetChoices(wildcardVars);
+        var result = search(state, function() {
+            // A structure without variables has no varCallbacks to check.
+            return checkNegations(wildcardVars, options) &&
+                (wildcardVars.order.length === 0 ||
+                    checkUserVarCallbacks(wildcardVars, varCallbacks,
+                        options.failureTracker)) &&
+                state.results;
+        });
+        if (!result) {
+            undoTo(state, 0);
+        }
+        return result;
+    }
+
+    /*
+     * Returns a report of why the prepared structure does not match the code,
+     * for use in place of false when options.explain is set:
+     *     {
+     *       matched: false,
+     *       reason: "missing" if part of the structure could not be found,
+     *           or "varCallbacks" if the structure was found but the
+     *           varCallbacks rejected every possible match, or "count" if
+     *           it was found too few or too many times (see matchCount),
+     *       statement: the index of the first top-level structure statement
+     *           that could not be found after the ones before it,
+     *       missing: the structure node that the deepest partial match could
+     *           not find (as parsed, with _ and $vars left in place),
+     *       depth: how many statement/argument lists deep missing is nested
+     *           within its top-level statement,
+     *       found: how many of the nodes before missing in its list were found,
+     *       closest: {node, similarity} for the code node most like missing,
+     *           where similarity is the fraction (0 to 1) of the missing
+     *           node's parts that it shares, or null if nothing is alike,
+     *       forbidden: {statements, node} when the reason is "forbidden",
+     *           where statements is the $not or forbid structure that was
+     *           found (as parsed) and node is where it was found in the code,
+     *       count: the number of matches found when the reason is "count",
+     *       failure: the varCallbacks failure message, if any,
+     *       failures: every varCallbacks failure of the best assignment of
+     *           the variables that was tried (see checkUserVarCallbacks),
+     *           or null if the varCallbacks never failed
+     *     }
+     * The reason is "forbidden" when the structure was found, but only along
+     * with something it forbids. statement, missing, depth, found and
+     * closest are only set when the reason is "missing". closest and
+     * forbidden have a location too if options.locations.
+     */
+    function explainFailure(code, prepared, options) {
+        var wVars = prepared.wildcardVars;
+        var statements = [prepared.toFind].concat(prepared.peers);
+        var tracker = options.failureTracker;
+        var report = failureReport(tracker.failure);
+        report.failures = tracker.failures;
+        var source = _.isString(code) ? code : null;
+
+        // Checks whether the first count structure statements can be found,
+        // ignoring the varCallbacks and (unless asked not to) negations.
+        var matchStatements = function(count, tracker, withNegations) {
+            var explainOptions = _.extend({}, options, {
+                explain: false,
+                explainTracker: tracker,
+                ignoreNegations: !withNegations
+            });
+            return findMatch(function(state, done) {
+                return findStructure(prepared.codeTree, statements[0],
+                    statements.slice(1, count), state, done);
+            }, wVars, [], explainOptions);
+        };
+
+        if (matchStatements(statements.length)) {
+            var violated = violatedNegation(wVars, options);
+            if (violated) {
+                report.reason = "forbidden";
+                report.forbidden = {
+                    statements: restoreStructureNode(violated.negation.pattern,
+                        violated.negation.wVars),
+                    node: violated.match.root
+                };
+                if (options.locations) {
+                    report.forbidden.location = nodeLocation(
+                        violated.match.root, source);
+                }
+            } else {
+                report.reason = "varCallbacks";
+            }
+        } else {
+            // Count how many of the statements can be found in order.
+            var count = 0;
+            while (count < statements.length && matchStatements(count + 1)) {
+                count += 1;
+            }
+            var missingTracker = {depth: 0};
+            matchStatements(count + 1, missingTracker);
+            var missing = missingTracker.missing || {
+                node: statements[count], depth: 0, found: count
+            };
+            report.statement = count;
+            report.missing = restoreStructureNode(missing.node, wVars);
+            report.depth = missing.depth;
+            report.found = missing.found;
+            report.closest = closestNode(prepared.codeTree, missing.node, wVars);
+            if (report.closest && options.locations) {
+                report.closest.location = nodeLocation(report.closest.node,
+                    source);
+            }
+        }
+        return report;
+    }
+
+    /*
+     * Returns a failure report (see explainFailure) with nothing filled in
+     * but the failure message.
+     */
+    function failureReport(failure) {
+        return {
+            matched: false,
+            reason: "missing",
+            statement: null,
+            missing: null,
+            depth: null,
+            found: null,
+            closest: null,
+            forbidden: null,
+            count: null,
+            failure: failure || null,
+            failures: null
+        };
+    }
+
+    /*
+     * Records toFind as the node that a match attempt could not find (after
+     * finding found nodes before it in the same list), if this attempt got
+     * further than any before it. Only used when explaining failures.
+     */
+    function noteMissing(toFind, found, options) {
+        var tracker = options.explainTracker;
+        if (!tracker) {
+            return;
+        }
+        var best = tracker.missing;
+        if (!best || tracker.depth > best.depth ||
+                (tracker.depth === best.depth && found > best.found)) {
+            tracker.missing = {node: toFind, depth: tracker.depth, found: found};
+        }
+    }
 
-        var tree = fullTree.body[0].expression.body;
-        structureCache[structure] = JSON.stringify(tree);
+    /*
+     * Returns {node, similarity} for the node in codeTree of the same type
+     * as toFind that shares the largest fraction of toFind's parts, or null
+     * if there is no node of that type.
+     */
+    function closestNode(codeTree, toFind, wVars) {
+        var closest = null;
+        if (!toFind || !toFind.type) {
+            return closest;
+        }
+        eachCandidate(codeTree, null, -1, [], function(node) {
+            if (node.type !== toFind.type) {
+                return;
+            }
+            var counts = similarity(toFind, node, wVars);
+            var fraction = counts.size ? counts.shared / counts.size : 0;
+            if (!closest || fraction > closest.similarity) {
+                closest = {node: node, similarity: fraction};
+            }
+        });
+        return closest;
+    }
+
+    /*
+     * Counts the parts (leaf values, blanks and variables) of the structure
+     * node toFind, and how many of them the code node shares with it.
+     * Returns {shared, size}.
+     */
+    function similarity(toFind, node, wVars) {
+        if (toFind === undefined || isWildcardVarNode(toFind, wVars)) {
+            /* jshint -W116 */
+            return {shared: node == undefined ? 0 : 1, size: 1};
+        }
+        if (!_.isObject(toFind)) {
+            return {shared: toFind === node ? 1 : 0, size: 1};
+        }
+        var counts = {shared: 0, size: 0};
+        _.each(toFind, function(value, key) {
+            if (value === null) {
+                return; // Null properties can be anything.
+            }
+            var sub = similarity(value, _.isObject(node) ? node[key] : undefined, wVars);
+            counts.shared += sub.shared;
+            counts.size += sub.size;
+        });
+        return counts;
+    }
+
+    /*
+     * Returns whether the simplified structure node stands for a wildcard
+     * variable (see simplifyTree).
+     */
+    function isWildcardVarNode(node, wVars) {
+        return _.isObject(node) && (_.has(node, "wildcardVar") ||
+            !!referencedVarName(node, wVars));
+    }
+
+    /*
+     * Returns the name of the wildcard variable that the simplified structure
+     * node refers to (see simplifyTree), if any. This includes the variables
+     * of the enclosing structure for negations.
+     */
+    function referencedVarName(node, wVars) {
+        for (; wVars; wVars = wVars.outer) {
+            for (var varName in wVars.values) {
+                if (wVars.values.hasOwnProperty(varName) &&
+                        wVars.values[varName] === node) {
+                    return varName;
+                }
+            }
+        }
+    }
+
+    /*
+     * Undoes simplifyTree on a copy of a structure node, putting the _ and
+     * $var identifiers back in place of blanks and wildcard variables.
+     */
+    function restoreStructureNode(node, wVars) {
+        if (node === undefined) {
+            return {type: "Identifier", name: "_"};
+        }
+        if (!_.isObject(node)) {
+            return node;
+        }
+        if (isChoiceNode(node) || isRun(node)) {
+            return restoreMarker(node, wVars);
+        }
+        if (_.has(node, "wildcardType")) {
+            return {type: "Identifier", name: "_$" + node.wildcardType};
+        }
+        if (isWildcardVarNode(node, wVars)) {
+            return {
+                type: "Identifier",
+                name: node.wildcardVar || referencedVarName(node, wVars)
+            };
+        }
+        var restored = _.isArray(node) ? [] : {};
+        for (var key in node) {  /* jshint forin:false */
+            if (node.hasOwnProperty(key)) {
+                restored[key] = restoreStructureNode(node[key], wVars);
+            }
+        }
+        return restored;
+    }
+
+    /*
+     * Puts the marker call back in place of a choice or run node (see
+     * makeChoices and markStatements), for restoreStructureNode.
+     */
+    function restoreMarker(node, wVars) {
+        var expression = node.type === "$or" && !_.isArray(node.alternatives[0]);
+        var args = node.type === "$or" ? node.alternatives : [node.statements];
+        var call = {
+            type: "CallExpression",
+            callee: {type: "Identifier", name: node.type},
+            arguments: _.map(args, function(arg) {
+                return expression ? restoreStructureNode(arg, wVars) :
+                    statementsFunction(restoreStructureNode(arg, wVars));
+            })
+        };
+        return expression ? call : {type: "ExpressionStatement", expression: call};
+    }
+
+    /*
+     * Forgets the code that the nested negations were scoped to in the last
+     * match attempt. Top-level negations always apply to the whole code.
+     */
+    function resetNegationScopes(wVars) {
+        _.each(wVars.negations, function(negation) {
+            if (negation.parent) {
+                negation.scope = null;
+            }
+        });
+    }
+
+    /*
+     * Forgets the alternatives chosen in the last match attempt (see
+     * eachAlternative).
+     */
+    function resetChoices(wVars) {
+        _.each(wVars.choiceNodes, function(node) {
+            delete node.chosen;
+        });
+    }
+
+    /*
+     * Resets the wildcard vars' guesses. Deletes the properties rather than
+     * setting to {} in order to maintain shared object references in the
+     * structure tree (toFind, peers).
+     */
+    function resetWildcardVars(wVars) {
+        _.each(wVars.values, function(value, key) {
+            _.each(wVars.values[key], function(v, k) {
+                delete wVars.values[key][k];
+            });
+        });
+    }
+
+    /*
+     * Sets result.locations to the source location of the root and of every
+     * blank and variable in a match result, of the form:
+     *     {root: location, _: [location, ...], vars: {name: location, ...}}
+     *
+     * Each location looks like
+     *     {start: {line, column}, end: {line, column}, range: [start, end],
+     *      source: "the original code"}
+     * or is null if it is unknown (an empty glob, or a node given without
+     * location data). Globs get a location spanning all of their nodes.
+     * source is only set when the code was given as a string.
+     */
+    function addLocations(result, code) {
+        var getLocation = function(node) {
+            return nodeLocation(node, _.isString(code) ? code : null);
+        };
+        result.locations = {
+            root: getLocation(result.root),
+            _: _.map(result._, getLocation),
+            vars: {}
+        };
+        _.each(result.vars, function(value, name) {
+            result.locations.vars[name] = getLocation(value);
+        });
+        return result;
+    }
+
+    /*
+     * Returns the location of a syntax node (or of a list of nodes) in the
+     * format described in addLocations.
+     */
+    function nodeLocation(node, code) {
+        var first = _.isArray(node) ? _.first(node) : node;
+        var last = _.isArray(node) ? _.last(node) : node;
+        if (!first || !last || !first.loc || !last.loc) {
+            return null;
+        }
+        var location = {
+            start: _.clone(first.loc.start),
+            end: _.clone(last.loc.end),
+            range: first.range && last.range ?
+                [first.range[0], last.range[1]] : null
+        };
+        if (code !== null && location.range) {
+            location.source = code.slice(location.range[0], location.range[1]);
+        }
+        return location;
+    }
+
+    /*
+     * Returns the node with ES2015 shorthand written out in full, so that
+     * the short and long forms match each other: a concise arrow function
+     * body, as in x => x * 2, becomes a block that returns it, and a
+     * shorthand property {x} becomes {x: x}.
+     */
+    function expandShorthand(node) {
+        if (node.type === esprima.Syntax.ArrowFunctionExpression &&
+                node.expression) {
+            var body = node.body;
+            return _.extend({}, node, {
+                body: copyLocation(body, {
+                    type: esprima.Syntax.BlockStatement,
+                    body: [copyLocation(body, {
+                        type: esprima.Syntax.ReturnStatement,
+                        argument: body
+                    })]
+                }),
+                expression: false
+            });
+        }
+        if (node.type === esprima.Syntax.Property && node.shorthand) {
+            return _.extend({}, node, {shorthand: false});
+        }
+        return node;
+    }
+
+    /*
+     * Copies the source location of the node from onto the node to, so that
+     * nodes created while rewriting the tree still point to the code they
+     * came from. Returns to.
+     */
+    function copyLocation(from, to) {
+        if (from && from.loc) {
+            to.loc = deepClone(from.loc);
+        }
+        if (from && from.range) {
+            to.range = from.range.slice();
+        }
+        return to;
+    }
+
+    /*
+     * Returns whether key holds location data rather than a child node.
+     */
+    function isLocationKey(key) {
+        return key === "loc" || key === "range" || key === "start" ||
+            key === "end";
+    }
+
+    /*
+     * Returns whether key holds location data or comments (as parsers
+     * attach them) rather than a child node.
+     */
+    function isSourceKey(key) {
+        return isLocationKey(key) || key === "comments" ||
+            key === "leadingComments" || key === "trailingComments" ||
+            key === "innerComments";
+    }
+
+    /*
+     * Checks the user-defined variable callbacks and returns a boolean for
+     *   whether or not the wVars assignment of the wildcard variables results
+     *   in every varCallback returning true as required.
+     *
+     * If any varCallback returns false, this function also returns false.
+     *
+     * Format of varCallbacks: An object containing:
+     *     keys of the form: "$someVar" or "$foo, $bar, $baz" to mimic an
+     *        array (as JS keys must be strings).
+     *     values containing function callbacks. These callbacks must return
+     *        true/false. They may alternately return an object of the form
+     *        {failure: "The failure message."}. If the callback returns the
+     *        failure object, then the relevant failure message will be returned
+     *        via varCallbacks.failure.
+     *        Every callback is called, and the failures of the best
+     *        assignment tried so far (the one with the fewest failing
+     *        callbacks, or else the first) are kept in tracker.failures (see
+     *        failureTracker), as a list of {message, vars}, where message
+     *        is the failure message (or null) and vars has the nodes that
+     *        the callback was given, by variable name (without the $). The
+     *        failure message is the first one of the best assignment.
+     *        These callbacks are passed a parameter list corresponding to
+     *         the Esprima parse structures assigned to the variables in
+     *         the key (see example).
+     *
+     * Example varCallbacks object:
+     *    {
+     *     "$foo": function(fooObj) {
+     *         return fooObj.value > 92;
+     *     },
+     *     "$foo, $bar, $baz": function(fooObj, barObj, bazObj) {
+     *         if (fooObj.value > barObj.value) {
+     *            return {failure: "Check the relationship between values."}
+     *         }
+     *         return bazObj !== 48;
+     *     }
+     *   }
+     */
+    function checkUserVarCallbacks(wVars, varCallbacks, tracker) {
+        var failures = [];
+        for (var key in varCallbacks) {  /* jshint forin:false */
+            // Property strings may be "$foo, $bar, $baz" to mimic arrays.
+            var varNames = varCallbacks[key].variables;
+            var varValues = _.map(varNames, function(varName) {
+                varName = stringLeftTrim(varName); // Trim whitespace
+                // Every var name is in the structure (see
+                // checkCallbackVariables), but one that is only in parts of
+                // it that were not matched has no value.
+                if (!_.has(wVars.values, varName) ||
+                        _.isEmpty(wVars.values[varName])) {
+                    return undefined;
+                }
+                // Convert each var name to the Esprima structure it has
+                // been assigned in the parse. Make a deep copy.
+                return deepClone(wVars.values[varName]);
+            });
+            // Call the user-defined callback, passing in the var values as
+            // parameters in the order that the vars were defined in the
+            // property string.
+            var result = varCallbacks[key].fn.apply(null, varValues);
+            if (!result || _.has(result, "failure")) {
+                failures.push({
+                    message: _.has(result, "failure") ? result.failure : null,
+                    vars: _.object(_.map(varNames, bareName), varValues)
+                });
+            }
+        }
+        if (failures.length === 0) {
+            return true;
+        }
+        if (!tracker.failures || failures.length < tracker.failures.length) {
+            tracker.failures = failures;
+            // Set the failure message if the user callbacks provide one.
+            var message = _.find(_.pluck(failures, "message"), _.isString);
+            tracker.failure = message || null;
+        }
+        return false;
+
+        /* Trim is only a string method in IE9+, so use a regex if needed. */
+        function stringLeftTrim(str) {
+            if (String.prototype.trim) {
+                return str.trim();
+            }
+            return str.replace(/^\s+|\s+$/g, "");
+        }
+
+        /* Returns the name of the variable without whitespace or its $. */
+        function bareName(varName) {
+            return stringLeftTrim(varName).slice(1);
+        }
+    }
+
+    /*
+     * Returns the block of statements that the structure describes. The
+     * structure may be a function (or its source), like
+     *     function() { rect(_, _); }
+     * whose body is the structure; an arrow function, whose body may also
+     * be a single expression, like () => rect(_, _); a single expression,
+     * like rect(_, _); or a list of statements, like rect(_, _); fill(_);
+     * A lone function is always taken as the wrapper of the structure, not
+     * as a statement to find. Structures given as syntax trees are copied.
+     * With options.comments, the comments in the structure's source become
+     * the commentPatterns of its nodes (see addCommentPatterns).
+     *
+     * Parsed structures are cached by their source as given.
+     */
+    function parseStructure(structure, options) {
+        options = options || {};
+        var cached = usesCache(options) && !options.structureLocations;
+        if (typeof structure === "object") {
+            return deepClone(structure);
+        }
+
+        structure = String(structure);
+        var key = (options.comments ? "comments:" : "") + structure;
+        if (cached && structureCache[key]) {
+            return JSON.parse(structureCache[key]);
+        }
+
+        // Parsers may make nodes class instances, so copy them to plain
+        // objects like the cached ones.
+        var tree = deepClone(structureBlock(structure, options));
+        if (cached) {
+            structureCache[key] = JSON.stringify(tree);
+        }
+        return tree;
+    }
+
+    /*
+     * Parses the source of a structure into the block of statements it
+     * describes (see parseStructure). A class is taken as a declaration,
+     * as it would be in the code, rather than as an expression.
+     */
+    function structureBlock(structure, options) {
+        var expression = null;
+        var wrappedError = null;
+        var wrapped;
+        try {
+            // Wrapped in parentheses so function() {} becomes valid Javascript.
+            wrapped = unwrapLocations(
+                parseStructureSource("(" + structure + ")", options), 1);
+            expression = wrapped.body.length === 1 && wrapped.body[0].expression;
+        } catch (e) {
+            // Not a single expression, so it should be a list of statements.
+            wrappedError = e;
+        }
+        var block = function(statements) {
+            return {type: esprima.Syntax.BlockStatement, body: statements};
+        };
+        var statement = function(expression) {
+            return {type: esprima.Syntax.ExpressionStatement, expression: expression};
+        };
+
+        var wrapper = expression && (expression.type === esprima.Syntax.FunctionExpression ||
+            expression.type === esprima.Syntax.ArrowFunctionExpression);
+        // Comments around the wrapper or after a lone expression have no
+        // code to match before, so they would be silently dropped.
+        if (expression && expression.type !== esprima.Syntax.ClassExpression &&
+                (wrapped.commentPatterns || wrapped.body[0].commentPatterns ||
+                (wrapper && expression.commentPatterns))) {
+            throw new StructureError("MISPLACED_COMMENT",
+                "Comments in a structure must come before or inside part of it");
+        }
+        if (wrapper) {
+            return expression.body.type === esprima.Syntax.BlockStatement ?
+                headerBlock(nonEmptyBlock(expression.body)) :
+                block([statement(expression.body)]);
+        }
+        if (expression && expression.type !== esprima.Syntax.ClassExpression) {
+            return block([statement(expression)]);
+        }
+        var program;
+        try {
+            program = parseStructureSource(structure, options);
+        } catch (e) {
+            if (expression) {
+                return block([statement(expression)]); // A class without a name.
+            }
+            // A function that doesn't parse is reported as the wrapper it
+            // was meant to be, not as a function declaration without a name.
+            if (wrappedError && functionPattern.test(structure)) {
+                throw structureSyntaxError(wrappedError, 1);
+            }
+            throw structureSyntaxError(e, 0);
+        }
+        return headerBlock(nonEmptyBlock(_.extend(block(program.body),
+            _.pick(program, "commentPatterns"))));
+    }
+
+    /*
+     * Returns the block of a structure, or throws a StructureError if it
+     * has no statements or comments, since it would match any code.
+     */
+    function nonEmptyBlock(block) {
+        if (block.body.length === 0 && !block.commentPatterns) {
+            throw new StructureError("EMPTY_STRUCTURE",
+                "Poorly formatted structure code: the structure is empty");
+        }
+        return block;
+    }
+
+    /*
+     * Matches the source of a structure that starts with a function or an
+     * arrow function.
+     */
+    var functionPattern =
+        /^\s*(async\s+)?(function\b|(\([^()]*\)|[\w$]+)\s*=>)/;
+
+    /*
+     * Returns a StructureError for the parser's error e in the source of a
+     * structure, which was parsed after offset characters were put before
+     * it (see structureBlock).
+     */
+    function structureSyntaxError(e, offset) {
+        var error = syntaxError(e);
+        if (error) {
+            error.index -= offset;
+            if (error.line === 1) {
+                error.column -= offset;
+            }
+        }
+        return new StructureError("STRUCTURE_SYNTAX_ERROR",
+            "Poorly formatted structure code: " +
+            (error ? error.message : e.description || e.message || e),
+            {location: error && _.omit(error, "message")});
+    }
+
+    /*
+     * Parses the source of a structure (see parseCode), with locations if
+     * options.structureLocations. With options.comments, its comments are
+     * added to its nodes as commentPatterns (see addCommentPatterns), and
+     * then the locations they needed are removed again.
+     */
+    function parseStructureSource(text, options) {
+        var locations = !!options.structureLocations;
+        var program = parseCode(text, options, locations, options.comments);
+        if (_.isEmpty(program.comments)) {
+            return _.omit(program, "comments");
+        }
+        program = parseCode(text, options, true, true);
+        addCommentPatterns(program, commentIndex(text, program.comments));
+        program = _.omit(program, "comments");
+        return locations ? program : removeLocations(program);
+    }
+
+    /*
+     * Moves the locations in a tree parsed from source with offset
+     * characters put in front of it (see structureBlock) back to where they
+     * are in the source. Returns the tree.
+     */
+    function unwrapLocations(tree, offset) {
+        if (!_.isObject(tree)) {
+            return tree;
+        }
+        if (tree.range) {
+            tree.range = [tree.range[0] - offset, tree.range[1] - offset];
+        }
+        if (tree.loc) {
+            _.each([tree.loc.start, tree.loc.end], function(position) {
+                if (position.line === 1) {
+                    position.column -= offset;
+                }
+            });
+        }
+        _.each(tree, function(value, key) {
+            if (!isLocationKey(key)) {
+                unwrapLocations(value, offset);
+            }
+        });
+        return tree;
+    }
+
+    /*
+     * Gives the nodes of a structure parsed with its comments the
+     * commentPatterns that the code they match must have (see
+     * matchComments), as [{inside, parts}]. A run of comments right before
+     * a node (see commentIndex) is for the outermost node that starts
+     * there, and must be right before the code that it matches. Any other
+     * comment must be somewhere inside the code matched by the innermost
+     * node that it is in.
+     */
+    function addCommentPatterns(tree, index) {
+        var nodes = [];
+        var placed = [];
+        var visit = function(node) {
+            if (!_.isObject(node)) {
+                return;
+            }
+            if (node.type && node.range) {
+                nodes.push(node);
+                // Blanks and variables are replaced (see simplifyTree), so
+                // the comments before them go to the node they are in.
+                var run = node.type !== esprima.Syntax.Program &&
+                    !isWildcard(node) && !isWildcardVar(node) &&
+                    index.before[node.range[0]];
+                if (run && !_.contains(placed, run)) {
+                    placed.push(run);
+                    node.commentPatterns = _.map(run, function(comment) {
+                        return commentPattern(comment, false);
+                    });
+                }
+            }
+            for (var key in node) {  /* jshint forin:false */
+                if (node.hasOwnProperty(key) && !isSourceKey(key)) {
+                    visit(node[key]);
+                }
+            }
+        };
+        visit(tree);
+        var others = _.difference(index.all, _.flatten(placed, true));
+        _.each(others, function(comment) {
+            // Nodes come after the nodes they are in.
+            var node = _.find(nodes.slice().reverse(), function(node) {
+                return node.range[0] <= comment.range[0] &&
+                    comment.range[1] <= node.range[1];
+            }) || tree;
+            node.commentPatterns = (node.commentPatterns || []).concat(
+                [commentPattern(comment, true)]);
+        });
+    }
+
+    /*
+     * Returns the pattern that a comment of a structure stands for (see
+     * matchCommentText): {inside, parts}, where the parts are the text of
+     * the comment split around the _ and $var names in it, which are
+     * Identifier nodes.
+     */
+    function commentPattern(comment, inside) {
+        var parts = _.map(commentText(comment).split(/(\$\w+|\b_\b)/), function(part, i) {
+            return i % 2 === 1 ? {type: esprima.Syntax.Identifier, name: part} : part;
+        });
+        return {inside: inside, parts: _.without(parts, "")};
+    }
+
+    /*
+     * Returns the structure block, or if it has no statements but only
+     * comments, a block with a Program node that has them as comments
+     * before it, which matches the comments at the top of the code (see
+     * matchComments). Comments after the statements of the structure can't
+     * be matched, since they are in no node.
+     */
+    function headerBlock(block) {
+        var patterns = block.commentPatterns;
+        if (!patterns) {
+            return block;
+        }
+        if (block.body.length > 0) {
+            throw new StructureError("MISPLACED_COMMENT",
+                "Comments in a structure must come before or inside part of it");
+        }
+        return {
+            type: esprima.Syntax.BlockStatement,
+            body: [{
+                type: esprima.Syntax.Program,
+                commentPatterns: _.map(patterns, function(pattern) {
+                    return _.extend({}, pattern, {inside: false});
+                })
+            }]
+        };
+    }
+
+    /*
+     * Removes the location data from every node of the tree. Returns the
+     * tree.
+     */
+    function removeLocations(tree) {
+        if (_.isObject(tree)) {
+            _.each(_.keys(tree), function(key) {
+                if (isLocationKey(key)) {
+                    delete tree[key];
+                } else {
+                    removeLocations(tree[key]);
+                }
+            });
+        }
         return tree;
     }
 
     /*
-     * Returns a tree parsed out of the structure. The returned tree is an
-     *    abstract syntax tree with wildcard properties set to undefined.
+     * Returns the tree parsed out of the structure, as
+     *     {structure: tree, wildcardVars: wVars, optionals: [nodes]}
+     * The tree is an abstract syntax tree with wildcard properties set to
+     * undefined, and wVars holds the state of its wildcard variables.
+     * optionals has the nodes of its $optional(...) statements, in source
+     * order (see makeChoices).
      *
      * structure is a specification looking something like:
      *        function structure() {if (_) { var _ = 3; }}
      *    where _ denotes a blank (anything can go there),
      *    and code can go before or after any statement (only the nesting and
      *        relative ordering matter).
+     *
+     * options.forbid is an optional structure or list of structures that
+     *    must not appear anywhere in the code. They are added to
+     *    wVars.negations.
+     *
+     * options.unordered allows the statements of every block to be matched
+     *    in any order (see makeChoices).
+     *
+     * options.direct and options.adjacent restrict where the statements of
+     *    each block may be matched, as recorded in wVars.direct and the
+     *    runs of statements in the tree (see markStatements).
+     */
+    function parseStructureWithVars(structure, options) {
+        try {
+            return structureWithVars(structure, options);
+        } catch (e) {
+            if (!(e instanceof StructureError) || e.location || !e.node ||
+                    options.structureLocations) {
+                throw e;
+            }
+            // Structures are parsed without locations, so parse this one
+            // again with them to find where the mistake is.
+            try {
+                structureWithVars(structure,
+                    _.extend({}, options, {structureLocations: true}));
+            } catch (located) {
+                throw located.code === e.code ? located : e;
+            }
+            throw e;
+        }
+    }
+
+    /*
+     * Does the work of parseStructureWithVars. With
+     * options.structureLocations, the structure is parsed with locations.
      */
-    function parseStructureWithVars(structure, wVars) {
-        var tree = standardizeTree(parseStructure(structure));
+    function structureWithVars(structure, options) {
+        var tree = standardizeTree(parseStructure(structure, options));
         foldConstants(tree);
+        var choices = makeChoices(tree, options.unordered);
+        var wVars = {
+            order: [],
+            values: {},
+            types: {},
+            negations: [],
+            guards: choices.guards,
+            choiceNodes: choices.nodes,
+            direct: [],
+            choices: []
+        };
+        markStatements(tree, wVars, options);
         simplifyTree(tree, wVars);
-        return tree;
+        addForbidden(options.forbid, wVars, options);
+        simplifyNegations(wVars);
+        markChoices(tree, wVars);
+        return {
+            structure: tree,
+            wildcardVars: wVars,
+            optionals: choices.optionals
+        };
+    }
+
+    /*
+     * Adds the forbidden structures to wVars.negations. Forbidden structures
+     * are negations of the whole structure.
+     */
+    function addForbidden(forbidden, wVars, options) {
+        if (forbidden && !_.isArray(forbidden)) {
+            forbidden = [forbidden];
+        }
+        _.each(forbidden, function(forbiddenStructure) {
+            var tree = standardizeTree(parseStructure(forbiddenStructure, options));
+            foldConstants(tree);
+            makeChoices(tree, options.unordered, true);
+            markStatements(tree, wVars, options);
+            wVars.negations.push({
+                parent: null,
+                key: null,
+                pattern: tree.body || [tree],
+                guard: null
+            });
+        });
+    }
+
+    /*
+     * Records the structure statements that must be direct children of the
+     * code block they are matched in (rather than anywhere inside it) in
+     * wVars.direct, and replaces the runs of statements that must be
+     * matched by consecutive code statements with run nodes,
+     *     {type: "$adjacent", statements: [statements]}
+     * which are matched by matchRun.
+     *
+     * The statements inside a $direct(...) statement must be direct
+     * children, and the statements inside a $adjacent(...) statement must
+     * be consecutive direct children, as in
+     *     if (_) { $adjacent(bar(), foo()); }
+     * Both take the same arguments as $unordered, and are replaced by the
+     * statements in them (or their run). If options.direct is set, every
+     * statement in a block of the structure must be a direct child, and if
+     * options.adjacent is set, the statements of every block (between any
+     * globs) must be consecutive direct children. The top-level statements
+     * of the structure are not in any of its blocks, so the first of them
+     * may be in any block of the code (and $direct has no effect on them).
+     * The statements of a choice (see makeChoices) belong to the block that
+     * the choice is in.
+     *
+     * Statements are recorded by identity, so this must run on the same
+     * (unsimplified) tree that is later simplified and matched.
+     */
+    function markStatements(tree, wVars, options) {
+        var rootList = tree.body;
+        mark(tree);
+
+        function mark(node) {
+            if (!_.isObject(node)) {
+                return;
+            }
+            _.each(_.keys(node), function(key) {
+                if (isStatementListKey(node, key)) {
+                    node[key] = markList(node[key], node[key] === rootList, true);
+                }
+                mark(node[key]);
+            });
+        }
+
+        // Returns the statements with the markers replaced, and runs made
+        // if makeRuns (runs and the choices inside runs need no more).
+        function markList(statements, isRoot, makeRuns) {
+            var list = [];
+            var direct = [];
+            _.each(statements, function(statement) {
+                var adjacentCall = markerCall(statement, "$adjacent");
+                var directCall = markerCall(statement, "$direct");
+                if (adjacentCall) {
+                    var run = {
+                        type: "$adjacent",
+                        statements: markList(markerStatements(adjacentCall),
+                            isRoot, false)
+                    };
+                    list.push(run);
+                    direct.push(run);
+                } else if (directCall) {
+                    var group = markList(markerStatements(directCall), isRoot,
+                        false);
+                    list = list.concat(group);
+                    direct = direct.concat(_.reject(group, isUnmatchedStatement));
+                } else {
+                    markChoiceLists(statement, isRoot);
+                    list.push(statement);
+                }
+            });
+
+            if (makeRuns && options.adjacent) {
+                list = adjacentRuns(list);
+            }
+            if (options.direct || options.adjacent) {
+                direct = _.reject(list, isUnmatchedStatement);
+            }
+            // Top-level statements are not in a block of the structure.
+            if (!isRoot) {
+                _.each(direct, addDirect);
+            }
+            return list;
+        }
+
+        function markChoiceLists(node, isRoot) {
+            if (node.type === "$or") {
+                node.alternatives = _.map(node.alternatives, function(alternative) {
+                    return _.isArray(alternative) ?
+                        markList(alternative, isRoot, false) : alternative;
+                });
+            } else if (isChoiceNode(node)) {
+                node.statements = markList(node.statements, isRoot, false);
+            }
+        }
+
+        // Puts each stretch of statements between globs in a run, if it
+        // may be more than one statement.
+        function adjacentRuns(statements) {
+            var list = [];
+            var stretch = [];
+            var endStretch = function() {
+                if (stretch.length > 1 ||
+                        (stretch.length === 1 && isChoiceNode(stretch[0]))) {
+                    list.push({type: "$adjacent", statements: stretch});
+                } else {
+                    list = list.concat(stretch);
+                }
+                stretch = [];
+            };
+            _.each(statements, function(statement) {
+                if (markerCall(statement, "$not")) {
+                    list.push(statement);
+                } else if (isGlob(statement)) {
+                    endStretch();
+                    list.push(statement);
+                } else {
+                    stretch.push(statement);
+                }
+            });
+            endStretch();
+            return list;
+        }
+
+        // Records the statement as direct, along with those it may be
+        // matched as.
+        function addDirect(statement) {
+            wVars.direct = _.union(wVars.direct, [statement]);
+            if (isRun(statement) || isChoiceNode(statement)) {
+                _.each(choiceStatements(statement), addDirect);
+            }
+        }
+
+        // Negations are taken out of the statements, and globs match any
+        // number of statements, so neither is one statement to place.
+        function isUnmatchedStatement(statement) {
+            return isGlob(statement) || markerCall(statement, "$not");
+        }
+    }
+
+    /*
+     * Returns whether the structure node is a run of statements that must
+     * match consecutive code statements (see markStatements).
+     */
+    function isRun(node) {
+        return _.isObject(node) && node.type === "$adjacent";
+    }
+
+    /*
+     * Returns whether the structure node must be a direct child of the code
+     * block it is matched in (see markStatements).
+     */
+    function isDirectStatement(node, wVars) {
+        for (; wVars; wVars = wVars.outer) {
+            if (_.contains(wVars.direct, node)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /*
+     * Returns whether the structure node is a block with statements that
+     * must be its direct children (see markStatements).
+     */
+    function hasDirectStatements(node, wVars) {
+        return _.isObject(node) && isStatementListKey(node, "body") &&
+            _.some(node.body, function(statement) {
+                return isDirectStatement(statement, wVars);
+            });
+    }
+
+    /*
+     * Replaces the $or(...), $optional(...) and $unordered(...) markers in
+     * the (standardized) structure tree with choice nodes, which the search
+     * tries each way of matching as it goes (see eachAlternative). Returns
+     *     {nodes: [nodes], optionals: [nodes],
+     *      guards: [{statement, node, index}]}
+     * where nodes has the $or and $optional nodes, optionals has the
+     * $optional nodes in source order (none if negated, for a forbidden
+     * structure), and guards are explained below.
+     *
+     * A $or(...) statement or expression stands for any one of its
+     * arguments. As a statement it takes expressions or functions of
+     * statements, as in
+     *     $or(function() { for (_; _; _) {} }, function() { while (_) {} })
+     * and becomes {type: "$or", alternatives: [[statements], ...]}. As an
+     * expression each argument is an alternative expression, as in
+     *     $or(ellipse(_, _, _, _), rect(_, _, _, _));
+     * and it becomes {type: "$or", alternatives: [expressions]}.
+     *
+     * The statements inside a $optional(...) statement may be left out. It
+     * takes the same arguments as a $or statement, and becomes
+     *     {type: "$optional", optional: number, statements: [statements]}
+     *
+     * The statements inside a $unordered(...) statement may be matched in
+     * any order, in place of the $unordered statement. It takes any number
+     * of expressions or functions of statements, as in
+     *     $unordered(fill(_), function() { stroke(_); strokeWeight(_); })
+     * and becomes {type: "$unordered", statements: [statements]}. If
+     * unordered is set, the statements of every block (and alternative)
+     * are put in one.
+     *
+     * A $not(...) statement inside any of these is moved to the end of the
+     * enclosing block, as negations apply to the whole block anyway. If it
+     * was inside alternatives, guards records the innermost one, and the
+     * negation only applies when the search chooses that alternative (see
+     * isActiveNegation). The arguments of $not, $direct and $adjacent
+     * become one function of their statements, with the markers in them
+     * replaced too.
+     */
+    function makeChoices(tree, unordered, negated) {
+        var nodes = [];
+        var optionals = [];
+        var guards = [];
+        replaceIn(tree);
+        return {nodes: nodes, optionals: optionals, guards: guards};
+
+        function replaceIn(node) {
+            _.each(_.keys(node), function(key) {
+                if (isStatementListKey(node, key)) {
+                    node[key] = blockStatements(node[key]);
+                } else if (_.isObject(node[key])) {
+                    node[key] = replaced(node[key]);
+                }
+            });
+        }
+
+        // Returns the node, or the choice that replaces it.
+        function replaced(node) {
+            if (node.type === esprima.Syntax.CallExpression && node.callee &&
+                    node.callee.name === "$or") {
+                var choice = {
+                    type: "$or",
+                    alternatives: _.map(orAlternatives(node), replaced)
+                };
+                nodes.push(choice);
+                return choice;
+            }
+            replaceIn(node);
+            return node;
+        }
+
+        function blockStatements(statements) {
+            var negations = [];
+            var list = listStatements(statements, null, negations);
+            return grouped(list).concat(negations);
+        }
+
+        // Replaces the markers in the statements, adding the negations
+        // among them (with the guard, if any) to negations.
+        function listStatements(statements, guard, negations) {
+            var list = [];
+            var inner = function(innerStatements, innerGuard) {
+                return listStatements(innerStatements, innerGuard, negations);
+            };
+            _.each(statements, function(statement) {
+                var orCall = markerCall(statement, "$or");
+                var optionalCall = markerCall(statement, "$optional");
+                var unorderedCall = markerCall(statement, "$unordered");
+                var notCall = markerCall(statement, "$not");
+                var call = notCall || markerCall(statement, "$direct") ||
+                    markerCall(statement, "$adjacent");
+                if (orCall) {
+                    var choice = {type: "$or", alternatives: null};
+                    choice.alternatives = _.map(orAlternatives(orCall),
+                        function(arg, i) {
+                            return grouped(inner(argumentStatements(arg),
+                                {node: choice, index: i}));
+                        });
+                    nodes.push(choice);
+                    list.push(choice);
+                } else if (optionalCall) {
+                    var optional = {
+                        type: "$optional",
+                        optional: null,
+                        statements: null
+                    };
+                    if (!negated) {
+                        optional.optional = optionals.length;
+                        optionals.push(optional);
+                    }
+                    optional.statements = grouped(inner(
+                        markerStatements(optionalCall), {node: optional, index: 0}));
+                    nodes.push(optional);
+                    list.push(optional);
+                } else if (unorderedCall) {
+                    list.push(unorderedGroup(inner(markerStatements(unorderedCall),
+                        guard)));
+                } else if (notCall && notCall.arguments.length === 1) {
+                    notCall.arguments = [statementsFunction(
+                        blockStatements(markerStatements(notCall)))];
+                    if (guard) {
+                        guards.push(_.extend({statement: statement}, guard));
+                    }
+                    negations.push(statement);
+                } else if (call && !notCall) {
+                    call.arguments = [statementsFunction(
+                        inner(markerStatements(call), guard))];
+                    list.push(statement);
+                } else {
+                    list.push(replaced(statement));
+                }
+            });
+            return list;
+        }
+
+        // With unordered, puts the statements in one group.
+        function grouped(statements) {
+            return unordered && statements.length > 1 ?
+                [unorderedGroup(statements)] : statements;
+        }
+    }
+
+    /*
+     * Returns a $unordered group of the structure statements (see
+     * makeChoices), with the statements of the groups among them merged in.
+     */
+    function unorderedGroup(statements) {
+        return {
+            type: "$unordered",
+            statements: _.flatten(_.map(statements, function(statement) {
+                return isGroup(statement) ? statement.statements : [statement];
+            }), true)
+        };
+    }
+
+    /*
+     * Returns whether the structure node is a choice (see makeChoices).
+     */
+    function isChoiceNode(node) {
+        return _.isObject(node) &&
+            _.contains(["$or", "$optional", "$unordered"], node.type);
+    }
+
+    /*
+     * Returns whether the structure node is a group of unordered statements
+     * (see makeChoices).
+     */
+    function isGroup(node) {
+        return _.isObject(node) && node.type === "$unordered";
+    }
+
+    /*
+     * Returns the statements (or expressions) that a choice or run may be
+     * matched as, in any of its alternatives.
+     */
+    function choiceStatements(node) {
+        if (node.type === "$or") {
+            return _.flatten(node.alternatives, true);
+        }
+        return node.statements;
+    }
+
+    /*
+     * Returns the arguments of a $or(...) call, which are its alternatives.
+     */
+    function orAlternatives(call) {
+        if (call.arguments.length === 0) {
+            throw new StructureError("EMPTY_OR", "$or needs at least one alternative",
+                {variable: "$or", node: call});
+        }
+        return call.arguments;
+    }
+
+    /*
+     * Returns whether node[key] is a list of statements.
+     */
+    function isStatementListKey(node, key) {
+        return _.isArray(node[key]) && (key === "body" ||
+            (key === "consequent" && node.type === esprima.Syntax.SwitchCase));
+    }
+
+    /*
+     * Returns the call expression of a marker statement such as
+     * $not(...) or $unordered(...) with the given name, or null if node is
+     * not one.
+     */
+    function markerCall(node, name) {
+        var call = node && node.type === esprima.Syntax.ExpressionStatement &&
+            node.expression;
+        if (!call || call.type !== esprima.Syntax.CallExpression ||
+                !call.callee || call.callee.name !== name) {
+            return null;
+        }
+        return call;
+    }
+
+    /*
+     * Returns the statements that the arguments of a marker call stand for:
+     * the body of each function argument, and each other argument as an
+     * expression statement.
+     */
+    function markerStatements(call) {
+        return _.flatten(_.map(call.arguments, argumentStatements), true);
+    }
+
+    /*
+     * Returns the statements that one argument of a marker call stands for
+     * (see markerStatements).
+     */
+    function argumentStatements(arg) {
+        if (arg.type === esprima.Syntax.FunctionExpression) {
+            return arg.body.body;
+        }
+        return [{type: esprima.Syntax.ExpressionStatement, expression: arg}];
     }
 
     /*
-     * Constant folds the syntax tree
+     * Returns a function expression with the statements as its body, as
+     * taken by the marker calls (see markerStatements).
+     */
+    function statementsFunction(statements) {
+        return {
+            type: esprima.Syntax.FunctionExpression,
+            params: [],
+            body: {type: esprima.Syntax.BlockStatement, body: statements}
+        };
+    }
+
+    /*
+     * Constant folds the syntax tree. A template literal without any ${}
+     * expressions, like `Hello`, is folded to the string literal "Hello".
      */
     function foldConstants(tree) {
         for (var key in tree) {  /* jshint forin:false */
@@ -494,12 +2918,23 @@
                         _.isNumber(argument.value)) {
                         if (ast.operator === "-") {
                             argument.value = -argument.value;
-                            tree[key] = argument;
+                            tree[key] = copyLocation(ast, argument);
                         } else if (ast.operator === "+") {
                             argument.value = +argument.value;
-                            tree[key] = argument;
+                            tree[key] = copyLocation(ast, argument);
                         }
                     }
+                } else if (ast.type === esprima.Syntax.TemplateLiteral &&
+                        ast.expressions.length === 0 &&
+                        tree.type !== esprima.Syntax.TaggedTemplateExpression) {
+                    // The raw text is quoted the way standardizeTree quotes
+                    // string literals.
+                    var text = ast.quasis[0].value;
+                    tree[key] = copyLocation(ast, {
+                        type: esprima.Syntax.Literal,
+                        value: text.cooked,
+                        raw: "\"" + text.raw.replace(/"|'/g, "\"") + "\""
+                    });
                 }
             }
         }
@@ -511,6 +2946,7 @@
      *
      *  Wildcards are explicitly set to undefined -- these undefined properties
      *  must exist and be non-null in order for code to match the structure.
+     *  Typed wildcards such as _$Literal are set to {wildcardType: type}.
      *
      *  Wildcard variables are set up such that the first occurrence of the
      *   variable in the structure tree is set to {wildcardVar: varName},
@@ -519,6 +2955,8 @@
      *   properties identical to our guess for the node matching the variable.
      *   (maintaining the reference). In effect, these later accesses
      *   to tree[key] mimic tree[key] simply being set to the variable value.
+     *   The type of a typed variable such as $n$Number is kept in
+     *   wVars.types[varName], wherever in the structure it is given.
      *
      *  Empty statements are deleted from the tree -- they need not be matched.
      *
@@ -533,9 +2971,24 @@
             }
             if (_.isObject(tree[key])) {
                 if (isWildcard(tree[key])) {
-                    tree[key] = undefined;
+                    var blankType = wildcardType(tree[key].name, tree[key]);
+                    tree[key] = blankType ? {wildcardType: blankType} : undefined;
                 } else if (isWildcardVar(tree[key])) {
-                    var varName = tree[key].name;
+                    var varName = wildcardName(tree[key].name);
+                    var varType = wildcardType(tree[key].name, tree[key]);
+                    if (_.contains(["$not", "$unordered", "$direct", "$adjacent",
+                            "$optional"], varName)) {
+                        throw new StructureError("STATEMENT_ONLY",
+                            varName + " can only be used as a statement",
+                            {variable: varName, node: tree[key]});
+                    } else if (wVars.outer && wVars.outer.values[varName]) {
+                        // A variable shared with the enclosing structure.
+                        tree[key] = wVars.outer.values[varName]; // Reference.
+                        wVars.shared = _.union(wVars.shared, [varName]);
+                        addWildcardType(wVars.outer, varName, varType, tree[key]);
+                        continue;
+                    }
+                    addWildcardType(wVars, varName, varType, tree[key]);
                     if (!wVars.values[varName]) {
                         // Perform setup for the first occurrence.
                         wVars.values[varName] = {}; // Filled in later.
@@ -543,7 +2996,6 @@
                             wildcardVar: varName
                         };
                         wVars.order.push(varName);
-                        wVars.skipData[varName] = 0;
                     } else {
                         tree[key] = wVars.values[varName]; // Reference.
                     }
@@ -552,6 +3004,9 @@
                     //  update the array length property -- so, use splice.
                     _.isArray(tree) ? tree.splice(key, 1) : delete tree[key];
                 } else {
+                    if (_.isArray(tree[key])) {
+                        extractNegations(tree, key, wVars);
+                    }
                     simplifyTree(tree[key], wVars);
                 }
             }
@@ -559,11 +3014,365 @@
     }
 
     /*
-     * Returns whether the structure node is intended as a wildcard node, which
-     * can be filled in by anything in others' code.
+     * Removes the $not(...) statements from the structure statement list
+     * tree[key], and records each one in wVars.negations as
+     *     {parent: tree, key: key, pattern: [statements], guard}
+     * The pattern is either the body of a function passed to $not, as in
+     * $not(function() { fill(_); rect(_); }), or the single expression
+     * passed to it, as in $not(fill(_)). The guard is the alternative that
+     * the negation was in, if any (see negationGuard).
+     *
+     * The patterns are simplified later by simplifyNegations, once all the
+     * variables of the enclosing structure are known.
+     */
+    function extractNegations(tree, key, wVars) {
+        var statements = tree[key];
+        var i = 0;
+        while (i < statements.length) {
+            var pattern = negationPattern(statements[i]);
+            if (pattern) {
+                if (!wVars.negations) {
+                    throw new StructureError("NESTED_NOT", "$not cannot be nested",
+                        {variable: "$not", node: statements[i]});
+                }
+                wVars.negations.push({
+                    parent: tree,
+                    key: key,
+                    pattern: pattern,
+                    guard: negationGuard(wVars, statements[i])
+                });
+                statements.splice(i, 1);
+            } else {
+                i += 1;
+            }
+        }
+    }
+
+    /*
+     * Returns {node, index} for the alternative of a choice that the
+     * $not(...) statement was in before makeChoices moved it out (see
+     * wVars.guards), or null if it was in none. The negation only applies
+     * when that alternative is chosen (see isActiveNegation).
+     */
+    function negationGuard(wVars, statement) {
+        var guard = _.find(wVars.guards, function(guard) {
+            return guard.statement === statement;
+        });
+        return guard ? {node: guard.node, index: guard.index} : null;
+    }
+
+    /*
+     * Returns whether the negation applies to the current match attempt:
+     * whether the alternative that guards it, if any, is the one chosen.
+     */
+    function isActiveNegation(negation) {
+        var guard = negation.guard;
+        return !guard || guard.node.chosen === guard.index;
+    }
+
+    /*
+     * Returns the list of statements negated by a $not(...) statement, or
+     * null if node is not one.
+     */
+    function negationPattern(node) {
+        var call = node && node.type === esprima.Syntax.ExpressionStatement &&
+            node.expression;
+        if (!call || call.type !== esprima.Syntax.CallExpression ||
+                !call.callee || call.callee.name !== "$not") {
+            return null;
+        }
+        var negated = call.arguments[0];
+        if (call.arguments.length !== 1) {
+            throw new StructureError("INVALID_NOT",
+                "$not takes exactly one expression or function",
+                {variable: "$not", node: call});
+        }
+        if (negated && negated.type === esprima.Syntax.FunctionExpression) {
+            return negated.body.body;
+        }
+        return [{type: esprima.Syntax.ExpressionStatement, expression: negated}];
+    }
+
+    /*
+     * Simplifies the patterns of the negations found in a structure. Each
+     * negation gets its own wildcard vars (negation.wVars), except that the
+     * variables that also appear in the enclosing structure refer to its
+     * guesses. negation.wVars.shared lists those variables.
+     */
+    function simplifyNegations(wVars) {
+        _.each(wVars.negations, function(negation) {
+            negation.wVars = {
+                order: [],
+                values: {},
+                types: {},
+                shared: [],
+                choices: [],
+                outer: wVars
+            };
+            simplifyTree(negation.pattern, negation.wVars);
+            markChoices(negation.pattern, negation.wVars);
+        });
+    }
+
+    /*
+     * Records in wVars.choices the simplified structure nodes that may
+     * match the code in more than one way that matters to the rest of the
+     * match: the first occurrences of wildcard variables, which are
+     * assigned the node they match, the nodes with negations, which are
+     * scoped to the code they match, the choices that guard negations (see
+     * negationGuard), and every node containing them. When the first
+     * occurrence of a variable is in a choice (see makeChoices), the
+     * others may be assigned a node before it, so they count too. The
+     * names of those variables are kept in wVars.loose. The other nodes
+     * are only matched in the first way found (see matchOnce).
+     */
+    function markChoices(tree, wVars) {
+        var loose = wVars.loose = [];
+        visit(tree, false);
+
+        function visit(node, inChoice) {
+            if (!_.isObject(node)) {
+                return false;
+            }
+            inChoice = inChoice || isChoiceNode(node);
+            if (inChoice && _.has(node, "wildcardVar")) {
+                loose.push(node.wildcardVar);
+            }
+            var choices = _.has(node, "wildcardVar") ||
+                _.some(loose, function(varName) {
+                    return wVars.values[varName] === node;
+                }) ||
+                _.some(wVars.negations, function(negation) {
+                    return negation.parent === node ||
+                        (!!negation.guard && negation.guard.node === node);
+                });
+            for (var key in node) {  /* jshint forin:false */
+                if (node.hasOwnProperty(key) && visit(node[key], inChoice)) {
+                    choices = true;
+                }
+            }
+            if (choices && !_.contains(wVars.choices, node)) {
+                wVars.choices.push(node);
+            }
+            return choices;
+        }
+    }
+
+    /*
+     * Returns whether the structure node may match in more than one way
+     * that matters (see markChoices). The groups that eachAlternative makes
+     * have choices if any of their statements do.
+     */
+    function hasChoices(node, wVars) {
+        return _.contains(wVars.choices, node) || (isChoiceNode(node) &&
+            _.some(choiceStatements(node), function(statement) {
+                return hasChoices(statement, wVars);
+            }));
+    }
+
+    /*
+     * Records the code matched by toFind as the scope of the negations in
+     * toFind, and checks right away the negations whose shared variables
+     * all have guesses. Returns false if any of those is violated.
+     */
+    function scopeNegations(currNode, toFind, state) {
+        var wVars = state.wVars;
+        var options = state.options;
+        return !_.some(wVars.negations, function(negation) {
+            if (negation.parent !== toFind || !isActiveNegation(negation)) {
+                return false;
+            }
+            var scope = negation.scope;
+            negation.scope = currNode[negation.key];
+            state.trail.push(function() {
+                negation.scope = scope;
+            });
+            var bound = _.every(negation.wVars.shared, function(varName) {
+                return !_.isEmpty(wVars.values[varName]);
+            });
+            return bound && !options.ignoreNegations &&
+                findNegation(negation, options);
+        });
+    }
+
+    /*
+     * Returns true if none of the negations is found within its scope.
+     */
+    function checkNegations(wVars, options) {
+        return options.ignoreNegations || !violatedNegation(wVars, options);
+    }
+
+    /*
+     * Returns {negation, match} for the first active negation (see
+     * isActiveNegation) with a scope whose pattern is found in that scope,
+     * or undefined if there is none.
+     */
+    function violatedNegation(wVars, options) {
+        var violated;
+        _.find(wVars.negations, function(negation) {
+            var found = negation.scope && isActiveNegation(negation) &&
+                findNegation(negation, options);
+            if (found) {
+                violated = {negation: negation, match: found};
+            }
+            return found;
+        });
+        return violated;
+    }
+
+    /*
+     * Searches the negation's scope for its pattern, using the current
+     * guesses for the shared variables. Returns the match results, or false.
+     */
+    function findNegation(negation, options) {
+        var pattern = negation.pattern;
+        var scope = negation.scope;
+        var negationOptions = _.omit(options, "single", "explainTracker");
+        return findMatch(function(state, done) {
+            return (_.isArray(scope) ?
+                findInList(scope, 0, pattern, 0, -1, state, done) :
+                findStructure(scope, pattern[0], pattern.slice(1), state, done));
+        }, negation.wVars, [], negationOptions);
+    }
+
+    /*
+     * Returns whether the structure node is intended as a wildcard node, which
+     * can be filled in by anything in others' code (or anything of its type,
+     * see wildcardType).
+     */
+    function isWildcard(node) {
+        return node.name && wildcardName(node.name) === "_";
+    }
+
+    /*
+     * Typed wildcards and wildcard variables end in $ and the type of node
+     * they accept, as in _$Literal or $n$Number.
+     */
+    var typedWildcardPattern = /^(_|\$[^$]+)\$([A-Z][A-Za-z]*)$/;
+
+    /*
+     * Returns the name of a wildcard or wildcard variable without its type,
+     * so "$n$Number" gives "$n".
+     */
+    function wildcardName(name) {
+        var parts = _.isString(name) && typedWildcardPattern.exec(name);
+        return parts ? parts[1] : name;
+    }
+
+    /*
+     * Returns the type in the name of a typed wildcard or wildcard
+     * variable, so "_$Literal" gives "Literal", or null if it has none.
+     * The type is either an Esprima node type, such as Identifier or
+     * CallExpression (or JSXElement), or the type of a literal's value:
+     * Number, String, Boolean, RegExp or Null. node is the identifier with
+     * the name, for errors.
+     */
+    function wildcardType(name, node) {
+        var parts = _.isString(name) && typedWildcardPattern.exec(name);
+        if (!parts) {
+            return null;
+        }
+        var type = parts[2];
+        if (!isWildcardType(type)) {
+            throw new StructureError("UNKNOWN_WILDCARD_TYPE",
+                "Unknown wildcard type " + type + " in " + name,
+                {variable: name, node: node});
+        }
+        return type;
+    }
+
+    /* Returns whether type is one that wildcards may have (see wildcardType). */
+    function isWildcardType(type) {
+        return _.has(esprima.Syntax, type) || _.contains(jsxTypes, type) ||
+            _.has(literalTypes, type);
+    }
+
+    // The JSX node types, which Esprima leaves out of esprima.Syntax.
+    var jsxTypes = ["JSXAttribute", "JSXClosingElement", "JSXElement",
+        "JSXEmptyExpression", "JSXExpressionContainer", "JSXIdentifier",
+        "JSXMemberExpression", "JSXNamespacedName", "JSXOpeningElement",
+        "JSXSpreadAttribute", "JSXText"];
+
+    var literalTypes = {
+        Number: function(node) {
+            return _.isNumber(node.value);
+        },
+        String: function(node) {
+            return _.isString(node.value);
+        },
+        Boolean: function(node) {
+            return _.isBoolean(node.value);
+        },
+        RegExp: function(node) {
+            // standardizeTree copies the tree as JSON, which loses the
+            // RegExp values, but not the source.
+            return _.isString(node.raw) && node.raw.charAt(0) === "/";
+        },
+        Null: function(node) {
+            return node.value === null;
+        }
+    };
+
+    /*
+     * Restricts the wildcard variable varName in wVars to the type, if any.
+     * node is the occurrence of the variable with the type, for errors.
+     */
+    function addWildcardType(wVars, varName, type, node) {
+        if (!type) {
+            return;
+        }
+        if (wVars.types[varName] && wVars.types[varName] !== type) {
+            throw new StructureError("CONFLICTING_WILDCARD_TYPES",
+                "Conflicting types " + wVars.types[varName] + " and " +
+                type + " for " + varName, {variable: varName, node: node});
+        }
+        wVars.types[varName] = type;
+    }
+
+    /*
+     * Returns whether the code node has the wildcard type (see
+     * wildcardType). Any node matches when there is no type.
      */
-    function isWildcard(node) {
-        return node.name && node.name === "_";
+    function hasWildcardType(node, type) {
+        if (!type) {
+            return true;
+        }
+        if (_.has(literalTypes, type)) {
+            return node.type === esprima.Syntax.Literal && literalTypes[type](node);
+        }
+        return node.type === type;
+    }
+
+    /*
+     * Returns whether the code node has the properties required of a
+     * variable by options.where (see match). Each property is checked
+     * against a RegExp that its string or number value must contain, a
+     * list of values that it must be one of, or a value it must equal.
+     */
+    function meetsConditions(node, conditions) {
+        return _.every(conditions || {}, function(condition, key) {
+            var value = node[key];
+            if (_.isRegExp(condition)) {
+                // search() ignores the lastIndex of global RegExps.
+                return (_.isString(value) || _.isNumber(value)) &&
+                    String(value).search(condition) !== -1;
+            }
+            if (_.isArray(condition)) {
+                return _.contains(condition, value);
+            }
+            return value === condition;
+        });
+    }
+
+    /*
+     * Returns whether the simplified structure node is a typed wildcard, or
+     * the first occurrence of a typed wildcard variable. Unlike other
+     * structure nodes, these are only matched against the code node in
+     * their place, never against the nodes inside it.
+     */
+    function isTypedWildcardNode(node, wVars) {
+        return _.isObject(node) && (_.has(node, "wildcardType") ||
+            (_.has(node, "wildcardVar") && !!wVars.types[node.wildcardVar]));
     }
 
     /* Returns whether the structure node is intended as a wildcard variable. */
@@ -573,25 +3382,58 @@
     }
 
     /*
-     *
+     * Returns the name of the glob that the structure node is, if it is one:
+     * "_" for glob_, or the variable name for glob$name. A glob may also be
+     * written as a statement, in an object literal as a property name, as
+     * in {x: _, glob$rest: _}, spread, as in f(...glob$args), or as a JSX
+     * child, as in <ul>{glob$items}</ul>.
      */
     function isGlob(node) {
-        return node && node.name &&
+        return node && _.isString(node.name) &&
             ((node.name === "glob_" && "_") ||
                 (node.name.indexOf("glob$") === 0 && node.name.slice(5))) ||
-            node && node.expression && isGlob(node.expression);
+            node && node.expression && isGlob(node.expression) ||
+            node && node.type === esprima.Syntax.Property && isGlob(node.key) ||
+            isSpread(node) && isGlob(node.argument);
     }
 
     /*
-     * Returns true if currTree matches the wildcard structure toFind.
+     * Returns whether the node spreads its argument into the list it is
+     * in, as in f(...args), or collects the rest of the list into it, as in
+     * function(first, ...rest) {}.
+     */
+    function isSpread(node) {
+        return !!node && (node.type === esprima.Syntax.SpreadElement ||
+            node.type === esprima.Syntax.RestElement);
+    }
+
+    /*
+     * The matching functions below search for the structure by backtracking.
+     * Each takes a continuation, k, that goes on to match the rest of the
+     * structure once its own part has matched, and returns what k returns:
+     * the match results if everything matched, or false. When k fails, the
+     * function tries the next way of matching its part (such as a different
+     * node to assign a variable to) and calls k again, until it runs out.
+     *
+     * Everything a match attempt changes (variable assignments, blanks,
+     * the root and negation scopes) is recorded on the search state's trail
+     * (see findMatch), so that it can be undone before trying the next way.
+     */
+
+    /*
+     * Calls k if toFind (and its peers) can be found in currTree or anywhere
+     * inside it.
      *
      * currTree: The syntax node tracking our current place in the user's code.
      * toFind: The syntax node from the structure that we wish to find.
-     * peersToFind: The remaining ordered syntax nodes that we must find after
-     *     toFind (and on the same level as toFind).
-     * modify: should it call RestructureTree()?
+     * peers: The remaining ordered syntax nodes that we must find after
+     *     toFind (and in the same statement list as toFind).
+     * kHere: called when toFind is found outside of any statement list in
+     *     currTree, so that the caller must find the peers after currTree.
+     * kAll: called when toFind and all its peers are found in a statement
+     *     list inside currTree.
      */
-    function checkMatchTree(currTree, toFind, peersToFind, wVars, matchResults, options) {
+    function findInTree(currTree, toFind, peers, state, kHere, kAll) {
         if (_.isArray(toFind)) {
             console.error("toFind should never be an array.");
             console.error(toFind);
@@ -599,221 +3441,543 @@
         /* jshint -W041, -W116 */
         if (currTree == undefined) {
             if (toFind == undefined) {
-                matchResults._.push(currTree);
-                return matchResults;
-            } else {
-                return false;
+                pushBlank(state, currTree);
+                return kHere();
             }
+            return false;
         }
-        if (exactMatchNode(currTree, toFind, peersToFind, wVars, matchResults, options)) {
-            return matchResults;
+        var mark = state.trail.length;
+        var result = exactMatchNode(currTree, toFind, state, kHere);
+        if (result) {
+            return result;
         }
+        undoTo(state, mark);
         // Don't recurse if we're just checking a single node.
-        if (options.single) {
+        if (state.options.single) {
             return false;
         }
-        // Check children.
+        return findInChildren(currTree, toFind, peers, state, kHere, kAll);
+    }
+
+    /*
+     * Like findInTree, but only searches the children of currTree.
+     */
+    function findInChildren(currTree, toFind, peers, state, kHere, kAll) {
         for (var key in currTree) {  /* jshint forin:false */
-            if (!currTree.hasOwnProperty(key) || !_.isObject(currTree[key])) {
-                continue; // Skip inherited properties
+            if (!currTree.hasOwnProperty(key) || !_.isObject(currTree[key]) ||
+                    isSourceKey(key)) {
+                continue; // Skip inherited properties, locations and comments
             }
-            // Recursively check for matches
-            if ((_.isArray(currTree[key]) &&
-                    checkNodeArray(currTree[key], toFind, peersToFind, wVars, matchResults, options, true)) ||
-                (!_.isArray(currTree[key]) &&
-                    checkMatchTree(currTree[key], toFind, peersToFind, wVars, matchResults, options, true))) {
-                return matchResults;
+            var result = _.isArray(currTree[key]) ?
+                findInList(currTree[key], 0, [toFind].concat(peers), 0, -1,
+                    state, kAll) :
+                findInTree(currTree[key], toFind, peers, state, kHere, kAll);
+            if (result) {
+                return result;
             }
         }
         return false;
     }
 
     /*
-     * Returns true if this level of nodeArr matches the node in
-     * toFind, and also matches all the nodes in peersToFind in order.
+     * Calls k if the structure node toFind can be found in currTree or
+     * anywhere inside it.
      */
-    function checkNodeArray(nodeArr, toFind, peersToFind, wVars, matchResults, options) {
-        var curGlob;
+    function findNode(currTree, toFind, state, k) {
+        return findInTree(currTree, toFind, [], state, k, k);
+    }
 
-        for (var i = 0; i < nodeArr.length; i += 1) {
-            if (isGlob(toFind)) {
-                if (!curGlob) {
-                    curGlob = [];
-                    var globName = isGlob(toFind);
-                    if (globName === "_") {
-                        matchResults._.push(curGlob);
-                    } else {
-                        matchResults.vars[globName] = curGlob;
-                    }
-                }
-                curGlob.push(nodeArr[i]);
-            } else if (checkMatchTree(nodeArr[i], toFind, peersToFind, wVars, matchResults, options)) {
-                if (!peersToFind || peersToFind.length === 0) {
-                    return matchResults;
-                    // Found everything needed on this level.
-                } else {
-                    // We matched this node, but we still have more nodes on
-                    // this level we need to match on subsequent iterations
-                    toFind = peersToFind.shift(); // Destructive.
-                }
+    /*
+     * Calls k if the structure statement toFind can be found in the code
+     * tree, followed by its peers. The code may also be a single syntax node
+     * rather than a Program, in which case toFind may be matched by the node
+     * itself, with no list to find the peers in.
+     */
+    function findStructure(codeTree, toFind, peers, state, k) {
+        return findInTree(codeTree, toFind, peers, state, k, k);
+    }
+
+    /*
+     * Calls k(last) if the structure nodes in toFind can be found in order
+     * among (or inside) the nodes of nodeArr from index start on, where last
+     * is the index of the last node of nodeArr needed for the match.
+     * found is how many nodes of the structure list were found before
+     * toFind[0], and last is the index of the last node they needed.
+     *
+     * A choice at toFind[0] (see makeChoices) is tried one alternative at a
+     * time, with the rest of toFind after it. A group of unordered
+     * statements is matched one code node at a time instead, trying each of
+     * its statements as the one to find there (see eachAlternative).
+     */
+    function findInList(nodeArr, start, toFind, found, last, state, k) {
+        if (toFind.length === 0) {
+            return k(last);
+        }
+        if (isGlob(toFind[0])) {
+            return matchGlob(nodeArr, start, toFind, found, last, state, k);
+        }
+        var head = toFind[0];
+        var rest = toFind.slice(1);
+        var group = isPlainGroup(head);
+        if (isChoiceNode(head) && !group) {
+            return eachAlternative(head, state, function(alternative) {
+                return findInList(nodeArr, start, alternative.concat(rest), found,
+                    last, state, k);
+            });
+        }
+        var seen = false;
+        var next = function(nextStart, nextRest, nextLast) {
+            seen = true;
+            return findInList(nodeArr, nextStart, nextRest, found + 1, nextLast,
+                state, k);
+        };
+        var all = function(nextLast) {
+            seen = true;
+            return k(nextLast);
+        };
+        // Without choices, the first place the statements are found leaves
+        // the most room for what follows, and any later place would fail too.
+        // The same goes for whichever statement of a group is found first.
+        var once = !_.some(group ? head.statements.concat(rest) : toFind,
+            function(node) {
+                return hasChoices(node, state.wVars);
+            });
+        var matchAt = function(i, statements) {
+            return once ?
+                matchStatementOnce(nodeArr, i, statements, state, next, all) :
+                matchStatement(nodeArr, i, statements, state, false, next, all);
+        };
+        var matchGroupAt = function(i) {
+            return eachAlternative(head, state, function(alternative) {
+                return matchAt(i, alternative.concat(rest));
+            });
+        };
+        for (var i = start; i < nodeArr.length; i += 1) {
+            var mark = state.trail.length;
+            var result = group ? matchGroupAt(i) : matchAt(i, toFind);
+            if (result) {
+                return result;
+            }
+            undoTo(state, mark);
+            if (once && seen) {
+                return false;
             }
         }
+        if (!seen) {
+            noteMissing(group ? head.statements[0] : head, found, state.options);
+        }
+        return false;
+    }
 
-        if (curGlob) {
-            return matchResults;
-        } else if (isGlob(toFind)) {
-            var globName = isGlob(toFind);
-            if (globName === "_") {
-                matchResults._.push([]);
-            } else {
-                matchResults.vars[globName] = [];
+    /*
+     * Like findInList, for a glob at toFind[0]. The glob covers the nodes of
+     * nodeArr from start up to the node that matches the structure node
+     * after it, which must come right after them. A glob at the end of
+     * toFind covers all the nodes that are left. Shorter globs are tried
+     * first.
+     */
+    function matchGlob(nodeArr, start, toFind, found, last, state, k) {
+        var rest = toFind.slice(1);
+        var next = function(nextStart, nextRest, nextLast) {
+            return findInList(nodeArr, nextStart, nextRest, found + 1, nextLast,
+                state, k);
+        };
+        var end = rest.length === 0 ? nodeArr.length : start;
+        for (; end <= nodeArr.length; end += 1) {
+            var mark = state.trail.length;
+            var globLast = end > start ? end - 1 : last;
+            bindGlob(state, toFind[0], nodeArr.slice(start, end));
+            var result = rest.length === 0 ? k(globLast) :
+                isGlob(rest[0]) ?
+                matchGlob(nodeArr, end, rest, found + 1, globLast, state, k) :
+                end < nodeArr.length &&
+                matchStatement(nodeArr, end, rest, state, false, next, k);
+            if (result) {
+                return result;
             }
-            return matchResults;
+            undoTo(state, mark);
         }
-
         return false;
     }
 
+    /*
+     * Matches the structure node toFind[0] against nodeArr[i], and calls
+     * next(nextStart, rest, last) to find the rest of the nodes in toFind
+     * from nextStart on, where last is the index of the last node matched.
+     *
+     * A direct statement (see markStatements) must match nodeArr[i] itself,
+     * and a run of adjacent statements must match the code nodes from i
+     * on. Otherwise toFind[0] may be anywhere inside nodeArr[i], unless
+     * anchored is set. If it is in a statement list inside nodeArr[i], the
+     * rest of toFind must be found there, and all(i) is called instead.
+     * A choice (see makeChoices) is matched by trying each of its
+     * alternatives in its place.
+     */
+    function matchStatement(nodeArr, i, toFind, state, anchored, next, all) {
+        var wVars = state.wVars;
+        var statement = toFind[0];
+        var rest = toFind.slice(1);
+        if (isChoiceNode(statement)) {
+            return eachAlternative(statement, state, function(alternative) {
+                var statements = alternative.concat(rest);
+                // With nothing left to match, the match ends before i.
+                return statements.length === 0 ? next(i, [], i - 1) :
+                    matchStatement(nodeArr, i, statements, state, anchored,
+                        next, all);
+            });
+        }
+        var nested = function() {
+            return all(i);
+        };
+        if (isRun(statement)) {
+            var mark = state.trail.length;
+            var result = matchRun(nodeArr, i, [statement], state, function(end) {
+                return next(end, rest, end - 1);
+            });
+            // A run that is not direct may be in any block inside.
+            if (result || anchored || state.options.single ||
+                    isDirectStatement(statement, wVars)) {
+                return result;
+            }
+            undoTo(state, mark);
+            return findInChildren(nodeArr[i], statement, rest, state, function() {
+                return false; // A run is only found in a statement list.
+            }, nested);
+        }
+        var matched = function() {
+            return next(i + 1, rest, i);
+        };
+        if (anchored || isDirectStatement(statement, wVars)) {
+            return exactMatchNode(nodeArr[i], statement, state, matched);
+        }
+        return findInTree(nodeArr[i], statement, rest, state, matched, nested);
+    }
+
+    /*
+     * Like matchStatement (not anchored), but for statements without
+     * choices (see matchOnce).
+     */
+    function matchStatementOnce(nodeArr, i, toFind, state, next, all) {
+        return matchOnce(function(k) {
+            return matchStatement(nodeArr, i, toFind, state, false, function() {
+                return k(next, arguments);
+            }, function() {
+                return k(all, arguments);
+            });
+        }, function(then, args) {
+            return then.apply(null, args);
+        });
+    }
+
+    /*
+     * Calls run(k) for a part of the structure without choices (see
+     * markChoices), but calls k only for the first way that run matches
+     * it, after run has returned. Any other way would leave the same
+     * choices for the rest of the structure, so there is no need to
+     * backtrack into run, and calling k afterwards keeps the stack from
+     * growing with the size of the structure.
+     */
+    function matchOnce(run, k) {
+        var args;
+        return run(function() {
+            args = arguments;
+            return true;
+        }) && k.apply(null, args);
+    }
+
+    /*
+     * Calls k(end) if the structure statements exactly match the code nodes
+     * of nodeArr from index i up to end, one after the other. Runs in the
+     * statements (see markStatements) are matched in their place, and so
+     * are the alternatives of choices (see makeChoices).
+     */
+    function matchRun(nodeArr, i, statements, state, k) {
+        if (statements.length === 0) {
+            return k(i);
+        }
+        var statement = statements[0];
+        var rest = statements.slice(1);
+        if (isRun(statement)) {
+            return matchRun(nodeArr, i, statement.statements.concat(rest),
+                state, k);
+        }
+        if (isChoiceNode(statement)) {
+            return eachAlternative(statement, state, function(alternative) {
+                return matchRun(nodeArr, i, alternative.concat(rest), state, k);
+            });
+        }
+        return i < nodeArr.length &&
+            exactMatchNode(nodeArr[i], statement, state, function() {
+                return matchRun(nodeArr, i + 1, rest, state, k);
+            });
+    }
 
     /*
-     * This discards all wildcard vars that were part of a failed match
-     * this provides an important speedup by stopping anyPossible from having to increment
-     * every match on a doomed set of arguments.
-     * If the any argument set fails no amount of incrementing can save it.
+     * Calls run(statements) with the structure nodes to match in place of
+     * the choice node (see makeChoices) for each of its alternatives in
+     * turn, until one returns a result, which is returned (or else false).
+     *
+     * The alternatives of a $or are its arguments, and those of a $optional
+     * its statements and then nothing. The index of the one being tried is
+     * kept as node.chosen, on the trail. A $unordered group first settles
+     * the choices among its statements, putting the statements that each
+     * one chooses in the group. Then each of its statements (skipping any
+     * that are the same as one before it) is tried as the first to match,
+     * followed by a group of the others.
      */
-    function discardWVarsOnFailureDecorator(callback) {
-        return function(currTree, toFind, peersToFind, wVars, matchResults, options) {
-            var lastWVar;
-            for (lastWVar=0; lastWVar<wVars.order.length; lastWVar++) {
-                var candidate = wVars.values[wVars.order[lastWVar]];
-                if (_.isEmpty(candidate)) {
-                    break;
+    function eachAlternative(node, state, run) {
+        var result = false;
+        var members = node.statements;
+        var tryEach = function(alternatives, chooser, statements) {
+            _.find(alternatives, function(alternative, index) {
+                var mark = state.trail.length;
+                if (chooser) {
+                    choose(state, chooser, index);
                 }
-            }
-            var result = callback(currTree, toFind, peersToFind, wVars, matchResults, options);
-            if (!result) {
-                for (; lastWVar<wVars.order.length; lastWVar++) {
-                    var candidate = wVars.values[wVars.order[lastWVar]];
-                    if (!_.isEmpty(candidate)) {
-                        // Reset the wildcard vars' guesses. Delete the properties
-                        // rather than setting to {} in order to maintain shared
-                        // object references in the structure tree (toFind, peers)
-                        _.each(candidate, function(v, k) {
-                            delete candidate[k];
-                        });
-                    } else {
-                        break;
-                    }
+                result = run(statements(alternative));
+                if (!result) {
+                    undoTo(state, mark);
                 }
-                wVars._last = lastWVar;
-            }
+                return result;
+            });
             return result;
         };
+        if (node.type === "$or") {
+            return tryEach(node.alternatives, node, function(alternative) {
+                return _.isArray(alternative) ? alternative : [alternative];
+            });
+        }
+        if (node.type === "$optional") {
+            return tryEach([node.statements, []], node, _.identity);
+        }
+        var choice = _.find(members, isChoiceNode);
+        if (choice) {
+            var others = _.without(members, choice);
+            return eachAlternative(choice, state, function(statements) {
+                return run([unorderedGroup(others.concat(statements))]);
+            });
+        }
+        if (members.length === 0) {
+            return run([]);
+        }
+        var firsts = _.filter(members, function(member, i) {
+            return !_.some(members.slice(0, i), function(earlier) {
+                return sameNode(earlier, member);
+            });
+        });
+        return tryEach(firsts, null, function(member) {
+            var rest = _.without(members, member);
+            return rest.length > 1 ? [member, unorderedGroup(rest)] :
+                [member].concat(rest);
+        });
     }
 
     /*
-     * Returns true if and only if all arguments from the pattern match the corresponding
-     * argument in the test code
+     * Returns whether the structure node is a $unordered group that is
+     * matched one code node at a time (see findInList): one with statements
+     * to match, none of which are globs or choices.
      */
-    var checkArgumentsArray = discardWVarsOnFailureDecorator(function(nodeArr, toFind, peersToFind, wVars, matchResults, options) {
-        var curGlob;
+    function isPlainGroup(node) {
+        return _.isObject(node) && node.type === "$unordered" &&
+            node.statements.length > 0 &&
+            !_.some(node.statements, function(statement) {
+                return isGlob(statement) || isChoiceNode(statement);
+            });
+    }
 
-        for (var i = 0; i < nodeArr.length; i += 1) {
-            if (isGlob(toFind)) {
-                if (!curGlob) {
-                    curGlob = [];
-                    var globName = isGlob(toFind);
-                    if (globName === "_") {
-                        matchResults._.push(curGlob);
-                    } else {
-                        matchResults.vars[globName] = curGlob;
-                    }
-                }
-                curGlob.push(nodeArr[i]);
-            } else {
-                if (checkMatchTree(nodeArr[i], toFind, peersToFind, wVars, matchResults, options)) {
-                    if (!peersToFind || peersToFind.length === 0) {
-                        return matchResults;
-                    } else {
-                        toFind = peersToFind.shift();
+    /* Records which alternative of the choice node is being tried. */
+    function choose(state, node, index) {
+        var chosen = node.chosen;
+        node.chosen = index;
+        state.trail.push(function() {
+            node.chosen = chosen;
+        });
+    }
+
+    /*
+     * Calls k if every argument (or parameter) in the structure list toFind
+     * matches the code argument at the same index. The code may have more
+     * arguments than the structure, unless the structure has a glob. A glob
+     * covers any number of arguments in its place (the fewest first), with
+     * the structure arguments after it matching the ones after those.
+     */
+    function matchArguments(nodeArr, toFind, state, k) {
+        var hasGlob = _.some(toFind, isGlob);
+        return matchArgument(0, 0);
+
+        function matchArgument(i, at) {
+            if (i === toFind.length) {
+                return (!hasGlob || at === nodeArr.length) && k();
+            }
+            if (isGlob(toFind[i])) {
+                for (var end = at; end <= nodeArr.length; end += 1) {
+                    var mark = state.trail.length;
+                    bindGlob(state, toFind[i], nodeArr.slice(at, end));
+                    var globbed = matchArgument(i + 1, end);
+                    if (globbed) {
+                        return globbed;
                     }
-                } else {
-                    return false;
+                    undoTo(state, mark);
                 }
+                return false;
             }
-        }
-
-        if (curGlob) {
-            return matchResults;
-        } else if (isGlob(toFind)) {
-            var globName = isGlob(toFind);
-            if (globName === "_") {
-                matchResults._.push([]);
-            } else {
-                matchResults.vars[globName] = [];
+            if (at >= nodeArr.length) {
+                noteMissing(toFind[i], i, state.options);
+                return false;
             }
-            return matchResults;
+            var seen = false;
+            var next = function() {
+                seen = true;
+                return matchArgument(i + 1, at + 1);
+            };
+            var run = function(k) {
+                // Typed wildcards must be the argument itself.
+                return isTypedWildcardNode(toFind[i], state.wVars) ?
+                    nodeArr[at] && exactMatchNode(nodeArr[at], toFind[i], state, k) :
+                    findNode(nodeArr[at], toFind[i], state, k);
+            };
+            var result = hasChoices(toFind[i], state.wVars) ?
+                run(next) : matchOnce(run, next);
+            if (!result && !seen) {
+                noteMissing(toFind[i], i, state.options);
+            }
+            return result;
         }
-
-        return false;
-    });
+    }
 
     /*
-     * Checks whether the currNode exactly matches the node toFind.
+     * Calls k if currNode exactly matches the node toFind.
      *
      * A match is exact if for every non-null property on toFind, that
      * property exists on currNode and:
      *     0. If the property is undefined on toFind, it must exist on currNode.
      *     1. Otherwise, the values have the same type (ie, they match).
      *     2. If the values are numbers or strings, they match.
-     *     3. If the values are arrays, checkNodeArray on the arrays returns true.
-     *     4. If the values are objects, checkMatchTree on those objects
-     *         returns true (the objects recursively match to the extent we
-     *         care about, though they may not match exactly).
+     *     3. If the values are arrays, findInList (or matchArguments) on the
+     *         arrays matches.
+     *     4. If the values are objects, findNode on those objects matches
+     *         (the objects recursively match to the extent we care about,
+     *         though they may not match exactly).
+     *
+     * The first occurrence of a wildcard variable to be matched matches any
+     * node (of its type), which is then assigned to the variable. The others
+     * must match a node equal to the one assigned. A choice (see
+     * makeChoices) matches if one of its alternatives is a single node that
+     * matches.
      */
-    function exactMatchNode(currNode, toFind, peersToFind, wVars, matchResults, options) {
+    function exactMatchNode(currNode, toFind, state, k) {
+        var wVars = state.wVars;
         var rootToSet;
 
-        if (!matchResults.root && currNode.type !== "Program") {
+        useStep(state.options);
+
+        // Runs are only matched in statement lists (see matchRun).
+        if (isRun(toFind)) {
+            return false;
+        }
+        if (isChoiceNode(toFind)) {
+            return eachAlternative(toFind, state, function(alternative) {
+                return alternative.length === 1 &&
+                    exactMatchNode(currNode, alternative[0], state, k);
+            });
+        }
+
+        // A blank or variable in braces, as in <li>{_}</li>, also stands
+        // for a child that isn't in braces, like text or an element.
+        if (toFind && toFind.type === "JSXExpressionContainer" &&
+                _.contains(["JSXText", "JSXElement"], currNode.type) &&
+                (toFind.expression === undefined ||
+                    _.has(toFind.expression, "wildcardType") ||
+                    isWildcardVarNode(toFind.expression, wVars))) {
+            return exactMatchNode(currNode, toFind.expression, state, k);
+        }
+
+        // The Program is only the root when the structure is only comments
+        // at the top of the code (see headerBlock).
+        if (!state.results.root && (currNode.type !== "Program" ||
+                (toFind && toFind.type === "Program"))) {
             rootToSet = currNode;
         }
+        var matched = function() {
+            if (rootToSet) {
+                setRoot(state, rootToSet);
+            }
+            return k();
+        };
+
+        if (_.isObject(toFind)) {
+            if (_.has(toFind, "wildcardType")) {
+                if (!hasWildcardType(currNode, toFind.wildcardType)) {
+                    return false;
+                }
+                pushBlank(state, currNode);
+                return matched();
+            }
+            var varName = _.has(toFind, "wildcardVar") ? toFind.wildcardVar :
+                referencedVarName(toFind, wVars);
+            var value = varName && wVars.values[varName];
+            if (value && _.isEmpty(value)) {
+                // The first occurrence of a variable to be matched (usually
+                // the first in the structure) is assigned the node.
+                if (!hasWildcardType(currNode, wVars.types[varName]) ||
+                        !meetsConditions(currNode, state.options.where &&
+                            state.options.where[varName])) {
+                    return false; // Not a possible value for the variable.
+                }
+                bindVar(state, varName, currNode); // This node is now our variable.
+                return matched();
+            }
+            if (varName) {
+                // Other occurrences must be the same code as the node
+                // assigned to it. (A variable of the enclosing structure
+                // matches anything if it has not been assigned yet.)
+                return (_.isEmpty(toFind) || sameNode(currNode, value || toFind)) &&
+                    matched();
+            }
+        }
 
+        var keys = [];
         for (var key in toFind) {  /* jshint forin:false */
             // Ignore inherited properties; also, null properties can be
-            // anything and do not have to exist.
-            if (!toFind.hasOwnProperty(key) || toFind[key] === null) {
-                continue;
+            // anything and do not have to exist. Location data never has
+            // to match, and comments are matched last (see matchComments).
+            if (toFind.hasOwnProperty(key) && toFind[key] !== null &&
+                    !isSourceKey(key) && key !== "commentPatterns") {
+                keys.push(key);
+            }
+        }
+        return matchProperty(0);
+
+        function matchPart(subFind, run, k) {
+            return hasChoices(subFind, wVars) ? run(k) : matchOnce(run, k);
+        }
+
+        function matchProperty(index) {
+            if (index === keys.length) {
+                if (toFind === undefined) {
+                    pushBlank(state, currNode);
+                }
+                return matchComments(currNode, toFind, state, function() {
+                    return scopeNegations(currNode, toFind, state) && matched();
+                });
             }
+            var key = keys[index];
             var subFind = toFind[key];
             var subCurr = currNode[key];
+            var next = function() {
+                return matchProperty(index + 1);
+            };
             // Undefined properties can be anything, but they must exist.
             if (subFind === undefined) {
                 /* jshint -W116 */
                 if (subCurr == undefined) {
                     return false;
-                } else {
-                    matchResults._.push(subCurr);
-                    continue;
                 }
+                pushBlank(state, subCurr);
+                return next();
             }
             // currNode does not have the key, but toFind does
             if (subCurr == null) {
-                if (key === "wildcardVar") {
-                    if (wVars.leftToSkip && wVars.leftToSkip[subFind] > 0) {
-                        wVars.leftToSkip[subFind] -= 1;
-                        return false; // Skip, this does not match our wildcard
-                    }
-                    // We have skipped the required number, so take this guess.
-                    // Copy over all of currNode's properties into
-                    //  wVars.values[subFind] so the var references set up in
-                    //  simplifyTree behave like currNode. Shallow copy.
-                    _.extend(wVars.values[subFind], currNode);
-                    matchResults.vars[subFind.slice(1)] = currNode;
-                    if (rootToSet) {
-                        matchResults.root = rootToSet;
-                    }
-                    return matchResults; // This node is now our variable.
-                }
                 return false;
             }
             // Now handle arrays/objects/values
@@ -825,36 +3989,248 @@
                 // Both are arrays, do a recursive compare.
                 // (Arrays are objects so do this check before the object check)
                 if (subFind.length === 0) {
-                    continue; // Empty arrays can match any array.
-                }
-                var newToFind = subFind[0];
-                var peers = subFind.slice(1);
-                if (key === "params" || key === "arguments") {
-                    if (!checkArgumentsArray(subCurr, newToFind, peers, wVars, matchResults, options)) {
-                        return false;
-                    }
-                } else if (!checkNodeArray(subCurr, newToFind, peers, wVars, matchResults, options)) {
-                    return false;
+                    return next(); // Empty arrays can match any array.
                 }
+                return matchPart(subFind, function(k) {
+                    return matchList(key, subCurr, subFind, state, k);
+                }, next);
             } else if (_.isObject(subCurr)) {
-                // Both are objects, so do a recursive compare.
-                if (!checkMatchTree(subCurr, subFind, peersToFind, wVars, matchResults, options)) {
-                    return false;
-                }
-            } else {
-                // Check that the non-object (number/string) values match
-                if (subCurr !== subFind) {
-                    return false;
-                }
+                // Both are objects, so do a recursive compare. A block of
+                // direct statements must be this block, not one inside it,
+                // and typed wildcards must be this node.
+                var compare = hasDirectStatements(subFind, wVars) ||
+                    isTypedWildcardNode(subFind, wVars) ?
+                    exactMatchNode : findNode;
+                return matchPart(subFind, function(k) {
+                    return compare(subCurr, subFind, state, k);
+                }, next);
+            }
+            // Check that the non-object (number/string) values match
+            return subCurr === subFind && next();
+        }
+    }
+
+    /*
+     * Calls k if the code node has the comments that the structure node
+     * toFind asks for in its commentPatterns (see addCommentPatterns). The
+     * patterns for comments before the node must match comments of the run
+     * right before the code node (see commentIndex), in order, trying the
+     * nearest comments first, or for the Program (see headerBlock), the
+     * first comments of the code. The patterns for comments inside it must
+     * match comments anywhere inside the code node, in order. Comments are
+     * only found with options.comments in code given as source.
+     */
+    function matchComments(currNode, toFind, state, k) {
+        var patterns = _.isObject(toFind) && toFind.commentPatterns;
+        if (!patterns || patterns.length === 0) {
+            return k();
+        }
+        var index = state.options.codeComments;
+        var range = currNode.range;
+        if (!index || !range) {
+            return false;
+        }
+        var before = index.before[range[0]] || [];
+        var inside = _.filter(index.all, function(comment) {
+            return range[0] <= comment.range[0] && comment.range[1] <= range[1];
+        });
+        var nearest = currNode.type !== esprima.Syntax.Program;
+        return matchCommentList(_.where(patterns, {inside: false}), before,
+            nearest, state, function() {
+                return matchCommentList(_.where(patterns, {inside: true}), inside,
+                    false, state, k);
+            });
+    }
+
+    /*
+     * Calls k if each of the comment patterns matches a different one of
+     * the comments, in the same order (see matchCommentText). The first
+     * comments are tried first, or the last ones if nearest.
+     */
+    function matchCommentList(patterns, comments, nearest, state, k) {
+        if (patterns.length === 0) {
+            return k();
+        }
+        // Matches the first pattern against comments[i], and the rest after it.
+        var matchAt = function(i) {
+            var rest = comments.slice(i + 1);
+            return matchCommentText(patterns[0], comments[i], state, function() {
+                return matchCommentList(patterns.slice(1), rest, nearest, state, k);
+            });
+        };
+        var last = comments.length - patterns.length;
+        for (var j = 0; j <= last; j += 1) {
+            var mark = state.trail.length;
+            var result = matchAt(nearest ? last - j : j);
+            if (result) {
+                return result;
+            }
+            undoTo(state, mark);
+        }
+        return false;
+    }
+
+    /*
+     * Calls k if the text of the code comment (see commentText) matches the
+     * comment pattern (see commentPattern), where spaces match any
+     * whitespace. Each _ and $var in the pattern stands for some text, as
+     * little as will do, except that a $var that already has a value stands
+     * for its value or name. The new variables are assigned (and the blanks
+     * record) a node like the comment, {type, value, loc, range}, whose
+     * value is the text that they stand for.
+     */
+    function matchCommentText(pattern, comment, state, k) {
+        var wVars = state.wVars;
+        var slots = [];
+        useStep(state.options);
+        var source = _.map(pattern.parts, function(part) {
+            if (_.isString(part)) {
+                return _.map(part.split(/\s+/), escapeRegExp).join("\\s+");
+            }
+            if (part === undefined || _.has(part, "wildcardVar")) {
+                slots.push(part);
+                return "([\\s\\S]+?)";
+            }
+            var value = nodeValue(part);
+            return value === undefined ? "[\\s\\S]+?" : escapeRegExp(String(value));
+        }).join("");
+        var found = new RegExp("^" + source + "$").exec(commentText(comment));
+        if (!found) {
+            return false;
+        }
+        for (var i = 0; i < slots.length; i += 1) {
+            var node = copyLocation(comment, {type: comment.type, value: found[i + 1]});
+            if (slots[i] === undefined) {
+                pushBlank(state, node);
+                continue;
             }
+            var varName = slots[i].wildcardVar;
+            if (!hasWildcardType(node, wVars.types[varName]) ||
+                    !meetsConditions(node, state.options.where &&
+                        state.options.where[varName])) {
+                return false;
+            }
+            bindVar(state, varName, node);
+        }
+        return k();
+    }
+
+    /* Returns the text with the characters special in regexps escaped. */
+    function escapeRegExp(text) {
+        return text.replace(/[\-\[\]\/{}()*+?.\\^$|]/g, "\\$&");
+    }
+
+    /*
+     * Calls k if the structure list toFind matches the code list nodeArr,
+     * which is the key property of its node. Arguments and parameters must
+     * match in place (see matchArguments); other lists, such as
+     * statements, may have other nodes in between (see findInList).
+     */
+    function matchList(key, nodeArr, toFind, state, k) {
+        var tracker = state.options.explainTracker;
+        var nest = function(change) {
+            if (tracker) {
+                tracker.depth += change;
+            }
+        };
+        var after = function() {
+            nest(-1);
+            var result = k();
+            nest(1);
+            return result;
+        };
+        nest(1);
+        var result = key === "params" || key === "arguments" ?
+            matchArguments(nodeArr, toFind, state, after) :
+            findInList(nodeArr, 0, toFind, 0, -1, state, after);
+        nest(-1);
+        return result;
+    }
+
+    /*
+     * Returns whether the code nodes are the same, apart from their
+     * location data and comments.
+     */
+    function sameNode(a, b) {
+        if (!_.isObject(a) || !_.isObject(b)) {
+            return a === b;
+        }
+        if (_.isArray(a) !== _.isArray(b)) {
+            return false;
         }
-        if (toFind === undefined) {
-            matchResults._.push(currNode);
+        var keys = function(node) {
+            return _.reject(_.keys(node), isSourceKey);
+        };
+        var aKeys = keys(a);
+        return aKeys.length === keys(b).length && _.every(aKeys, function(key) {
+            return _.has(b, key) && sameNode(a[key], b[key]);
+        });
+    }
+
+    /*
+     * Undoes the changes recorded on the search state's trail since it had
+     * the length mark.
+     */
+    function undoTo(state, mark) {
+        while (state.trail.length > mark) {
+            state.trail.pop()();
         }
-        if (rootToSet) {
-            matchResults.root = rootToSet;
+    }
+
+    /* Adds the code matched by a blank to the match results. */
+    function pushBlank(state, value) {
+        var blanks = state.results._;
+        blanks.push(value);
+        state.trail.push(function() {
+            blanks.pop();
+        });
+    }
+
+    /*
+     * Assigns the code node to the wildcard variable varName. Its properties
+     * are copied into wVars.values[varName] so that the var references set
+     * up in simplifyTree behave like the node (shallow copy).
+     */
+    function bindVar(state, varName, node) {
+        var value = state.wVars.values[varName];
+        var vars = state.results.vars;
+        _.extend(value, node);
+        vars[varName.slice(1)] = node;
+        state.trail.push(function() {
+            _.each(_.keys(value), function(key) {
+                delete value[key];
+            });
+            delete vars[varName.slice(1)];
+        });
+    }
+
+    /* Adds the code nodes matched by a glob to the match results. */
+    function bindGlob(state, glob, nodes) {
+        var globName = isGlob(glob);
+        if (globName === "_") {
+            pushBlank(state, nodes);
+            return;
         }
-        return matchResults;
+        var vars = state.results.vars;
+        vars[globName] = nodes;
+        state.trail.push(function() {
+            delete vars[globName];
+        });
+    }
+
+    /* Sets the root of the match results. */
+    function setRoot(state, node) {
+        var results = state.results;
+        var hadRoot = _.has(results, "root");
+        var root = results.root;
+        results.root = node;
+        state.trail.push(function() {
+            if (hadRoot) {
+                results.root = root;
+            } else {
+                delete results.root;
+            }
+        });
     }
 
     function deepClone(obj) {
@@ -965,7 +4341,8 @@
 
         if (node.name === "_") {
             if (!data._ || data._.length === 0) {
-                throw "No _ data available.";
+                throw new InjectionError("MISSING_BLANK_DATA",
+                    "No _ data available.", {variable: "_", node: node});
             }
 
             return data._.shift();
@@ -973,7 +4350,8 @@
             var name = node.name.slice(1);
 
             if (!data.vars || !(name in data.vars)) {
-                throw "No vars available.";
+                throw new InjectionError("MISSING_VAR_DATA",
+                    "No vars available.", {variable: node.name, node: node});
             }
 
             return data.vars[name];
@@ -981,7 +4359,8 @@
     }
 
     function getGlobData(node, data) {
-        var check = node && node.expression || node;
+        var check = isSpread(node) ? node.argument :
+            node && node.expression || node;
 
         if (!check || check.type !== "Identifier") {
             return;
@@ -989,7 +4368,8 @@
 
         if (check.name === "glob_") {
             if (!data._ || data._.length === 0) {
-                throw "No _ data available.";
+                throw new InjectionError("MISSING_BLANK_DATA",
+                    "No _ data available.", {variable: check.name, node: node});
             }
 
             return data._.shift();
@@ -997,7 +4377,8 @@
             var name = check.name.slice(5);
 
             if (!data.vars || !(name in data.vars)) {
-                throw "No vars available.";
+                throw new InjectionError("MISSING_VAR_DATA",
+                    "No vars available.", {variable: check.name, node: node});
             }
 
             return data.vars[name];
@@ -1047,15 +4428,36 @@
     }
 
     exports.match = match;
+    exports.matchAll = matchAll;
+    exports.check = check;
+    exports.StructureError = StructureError;
+    exports.CodeParseError = CodeParseError;
+    exports.InjectionError = InjectionError;
+    exports.setParser = setParser;
+    exports.parseWithEsprima = parseWithEsprima;
     exports.matchNode = function(code, rawStructure, options) {
-        options = options || {};
-        options.single = true;
-        return match(code, rawStructure, options);
+        return match(code, rawStructure, _.extend({}, options, {single: true}));
     };
     exports.injectData = function(node, data) {
-        node = parseStructure(node);
-        data = deepClone(data);
-        return injectData(node, data);
+        try {
+            return injectData(parseStructure(node), deepClone(data));
+        } catch (e) {
+            if (!(e instanceof InjectionError) || e.location ||
+                    typeof node === "object") {
+                throw e;
+            }
+            // Structures are parsed without locations, so parse this one
+            // again with them to find where the data is missing (as in
+            // parseStructureWithVars).
+            try {
+                injectData(parseStructure(node, {structureLocations: true}),
+                    deepClone(data));
+            } catch (located) {
+                throw located.code === e.code ? located : e;
+            }
+            throw e;
+        }
     };
     exports.prettify = prettyHtml;
+    exports.constraints = constraints;
 })(typeof window !== "undefined" ? window : global);
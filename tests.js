@@ -24,9 +24,9 @@ var basicTests = function() {
 
     test("Positive tests of syntax", function() {
 
-        ok(Structured.match("",
-                function() {}),
-            "Empty structure matches empty string.");
+        throws(function() {
+                Structured.match("", function() {});
+            }, "Empty structures are rejected rather than matching any code.");
 
         ok(Structured.match("if (y > 30 && x > 13) {x += y;}",
                 function() {
@@ -1483,14 +1483,13 @@ var structureMatchTests = function() {
                 "type": "FunctionExpression",
                 "id": null,
                 "params": [],
-                "defaults": [],
                 "body": {
                     "type": "BlockStatement",
                     "body": []
                 },
-                "rest": null,
                 "generator": false,
-                "expression": false
+                "expression": false,
+                "async": false
             }],
             "vars": {},
             "root": {
@@ -1963,6 +1962,1918 @@ var commutativity = function(){
     });
 };
 
+var matchAllTests = function() {
+    QUnit.module("Matching all occurrences");
+
+    test("Simple matchAll tests", function() {
+        var code = "rect(1, 2, 3, 4); fill(255); if (x) { rect(5, 6, 7, 8); }";
+        var results = Structured.matchAll(code, function() {
+            rect($x, $y, _, _);
+        });
+        equal(results.length, 2, "Finds every occurrence, nested or not.");
+        deepEqual(results.map(function(result) {
+            return [result.vars.x.value, result.vars.y.value];
+        }), [[1, 2], [5, 6]], "Each occurrence has its own bindings.");
+        equal(results[1].root.expression.arguments[0].value, 5,
+            "Each occurrence has its own root.");
+        equal(results[1]._.length, 2, "Each occurrence has its own blanks.");
+
+        deepEqual(Structured.matchAll("foo();", function() {
+            rect(_);
+        }), [], "No occurrences gives an empty list.");
+
+        equal(Structured.matchAll("fill(0); rect(1); fill(0);", function() {
+            fill(_);
+        }).length, 2, "Works without variables.");
+    });
+
+    test("Overlapping matches", function() {
+        var code = "rect(1); rect(2); rect(3); rect(4); rect(5);";
+        var structure = function() {
+            rect(_);
+            rect(_);
+        };
+        equal(Structured.matchAll(code, structure).length, 2,
+            "Peers are not reused by later matches by default.");
+        equal(Structured.matchAll(code, structure, {overlap: true}).length, 4,
+            "Peers are reused with the overlap option.");
+
+        code = "if (a) { if (b) { foo(); } }";
+        structure = function() {
+            if (_) {
+                foo();
+            }
+        };
+        equal(Structured.matchAll(code, structure).length, 1,
+            "Nested matches are skipped by default.");
+        equal(Structured.matchAll(code, structure, {overlap: true}).length, 2,
+            "Nested matches are found with the overlap option.");
+    });
+};
+
+var locationTests = function() {
+    QUnit.module("Source locations");
+
+    test("Locations of matched nodes", function() {
+        var code = "var size = -5;\nfor (var i = 0; i < 10; i++) {\n" +
+            "  rect(i, size, 10, 10);\n}";
+        var result = Structured.match(code, function() {
+            for (_; _; $i += 1) {
+                rect($x, glob_);
+            }
+        }, {locations: true});
+        deepEqual(result.locations.root.start, {line: 2, column: 0},
+            "Root start is reported.");
+        deepEqual(result.locations.root.end, {line: 4, column: 1},
+            "Root end is reported.");
+        equal(result.locations.vars.x.source, "i",
+            "Variable source is reported.");
+        deepEqual(result.locations.vars.x.range, [53, 54],
+            "Variable range is reported.");
+        equal(result.locations._[2].source, "size, 10, 10",
+            "Globs span all of their nodes.");
+        equal(result.locations.vars.i.source, "i",
+            "Variables inside rewritten i++ keep their location.");
+
+        result = Structured.match(code, function() {
+            var _ = $size;
+        }, {locations: true});
+        equal(result.locations.vars.size.source, "-5",
+            "Folded constants keep the location of the whole expression.");
+        equal(result.locations.root.source, "var size = -5;",
+            "Rewritten var declarations keep their location.");
+
+        result = Structured.match("x += 2;", function() {
+            x = x + $n;
+        }, {locations: true});
+        equal(result.locations.root.source, "x += 2;",
+            "Compound assignments keep their location.");
+
+        ok(Structured.match("f(g(1)); h(g(1));", function() {
+            f($x);
+            h($x);
+        }, {locations: true}), "Variables match nodes at other locations.");
+
+        ok(!("locations" in Structured.match(code, function() {
+            rect(_, _, _, _);
+        })), "Locations are only reported when asked for.");
+    });
+
+    test("Locations with matchAll", function() {
+        var results = Structured.matchAll("fill(0);\nfill(255);", function() {
+            fill($color);
+        }, {locations: true});
+        equal(results[0].locations.vars.color.source, "0",
+            "First match has its own locations.");
+        deepEqual(results[1].locations.vars.color.start, {line: 2, column: 5},
+            "Second match has its own locations.");
+    });
+};
+
+var explainTests = function() {
+    QUnit.module("Explaining failed matches");
+
+    test("Explain missing structure", function() {
+        var report = Structured.match("fill(0); rect(1, 2, 3, 4);", function() {
+            rect(_, _, _, _);
+            fill(_);
+        }, {explain: true});
+        equal(report.matched, false, "The report marks the match as failed.");
+        equal(report.reason, "missing", "The structure could not be found.");
+        equal(report.statement, 1, "The second statement could not be found.");
+        equal(report.missing.expression.callee.name, "fill",
+            "The missing node is reported.");
+        deepEqual(report.missing.expression.arguments,
+            [{type: "Identifier", name: "_"}], "Blanks are put back.");
+        equal(report.closest.node.expression.callee.name, "fill",
+            "The closest code node is the out of order fill.");
+        equal(report.closest.similarity, 1, "The closest node is identical.");
+
+        report = Structured.match("if (x) { fill(0); ellipse(1, 2); }", function() {
+            if ($cond) {
+                fill(_);
+                rect(_);
+            }
+        }, {explain: true});
+        equal(report.statement, 0, "The first statement could not be found.");
+        equal(report.missing.expression.callee.name, "rect",
+            "The deepest missing node is reported.");
+        equal(report.depth, 1, "The depth of the missing node is reported.");
+        equal(report.found, 1, "The peers found before it are counted.");
+        ok(report.closest.similarity > 0 && report.closest.similarity < 1,
+            "A partly similar node is the closest.");
+
+        report = Structured.match("foo();", function() {
+            while (_) {}
+        }, {explain: true});
+        equal(report.closest, null, "No closest node if nothing is alike.");
+
+        report = Structured.match("rect(1, 2);", function() {
+            rect(1, 3);
+        }, {explain: true, locations: true});
+        equal(report.missing.value, 3, "Missing arguments are reported.");
+        equal(report.closest.location.source, "1",
+            "Closest node location is reported.");
+    });
+
+    test("Explain varCallbacks failures", function() {
+        var varCallbacks = {
+            "$a": function(a) {
+                return {failure: "The number is too small."};
+            }
+        };
+        var report = Structured.match("var x = 5;", function() {
+            var x = $a;
+        }, {explain: true, varCallbacks: varCallbacks});
+        equal(report.reason, "varCallbacks", "The callbacks rejected it.");
+        equal(report.failure, "The number is too small.",
+            "The failure message is reported.");
+        equal(varCallbacks.failure, "The number is too small.",
+            "The failure message is still set on varCallbacks.");
+        equal(report.missing, null, "Nothing is missing.");
+    });
+
+    test("Explain every varCallbacks failure", function() {
+        var varCallbacks = {
+            "$v": function(v) {
+                return v.value > 100 || {failure: "The value is too small."};
+            },
+            "$x, $v": function(x, v) {
+                return x.name === "c" || {failure: "The name is wrong."};
+            }
+        };
+        var report = Structured.match("var a = 1; var b = 300;", function() {
+            var $x = $v;
+        }, {explain: true, varCallbacks: varCallbacks});
+        equal(report.failures.length, 1,
+            "The assignment with the fewest failures is reported.");
+        equal(report.failures[0].message, "The name is wrong.",
+            "Its failure message is reported.");
+        equal(report.failures[0].vars.x.name, "b",
+            "Its variables are reported.");
+        equal(report.failures[0].vars.v.value, 300,
+            "Every variable of the callback is reported.");
+        equal(report.failure, "The name is wrong.",
+            "The failure message comes from the best assignment.");
+
+        report = Structured.match("var a = 1;", function() {
+            var $x = $v;
+        }, {explain: true, varCallbacks: varCallbacks});
+        deepEqual([report.failures[0].message, report.failures[1].message],
+            ["The value is too small.", "The name is wrong."],
+            "Every failing callback is reported.");
+        equal(report.failure, "The value is too small.",
+            "The failure message is the first one.");
+
+        varCallbacks = {
+            "$v": function(v) {
+                return v.value > 100 || {failure: "The value is too small."};
+            }
+        };
+        ok(Structured.match("var a = 1; var b = 300;", function() {
+            var $x = $v;
+        }, {varCallbacks: varCallbacks}), "A later assignment can match.");
+        equal(varCallbacks.failure, undefined,
+            "No failure message is left after a match.");
+        equal(Structured.match("var x = 1;", function() {
+            var $x = $v;
+        }, {explain: true}).failures, null,
+            "There are no failures without varCallbacks.");
+    });
+
+    test("Explain successful matches", function() {
+        deepEqual(Structured.match("rect(1, 2);", function() {
+            rect($x, _);
+        }, {explain: true}), Structured.match("rect(1, 2);", function() {
+            rect($x, _);
+        }), "Successful matches are returned as usual.");
+    });
+};
+
+var negationTests = function() {
+    QUnit.module("Forbidden structures");
+
+    test("Forbid option", function() {
+        var forbidWhileTrue = {forbid: function() {
+            while (true) {}
+        }};
+        equal(Structured.match("while (true) { x(); }", function() {
+            x();
+        }, forbidWhileTrue), false, "Forbidden structure fails the match.");
+        ok(Structured.match("while (y) { x(); }", function() {
+            x();
+        }, forbidWhileTrue), "Match succeeds without the forbidden structure.");
+
+        var forbidReassign = {forbid: [function() {
+            $x = 3;
+        }]};
+        equal(Structured.match("var a = 1; var b = 2; a = 3;", function() {
+            var $x = 1;
+        }, forbidReassign), false, "Forbidden structures share variables.");
+        equal(Structured.match("var a = 1; var b = 1; a = 3;", function() {
+            var $x = 1;
+        }, forbidReassign).vars.x.name, "b",
+            "Another variable assignment avoids the forbidden structure.");
+
+        var forbidSameArgs = {forbid: function() {
+            f($y, $y);
+        }};
+        ok(Structured.match("f(1, 2);", function() {
+            f(_, _);
+        }, forbidSameArgs), "Unshared variables are local to the forbidden structure.");
+        equal(Structured.match("f(1, 1);", function() {
+            f(_, _);
+        }, forbidSameArgs), false, "Local variables must still be consistent.");
+    });
+
+    test("$not statements", function() {
+        var loop = "for (var i = 0; i < 3; i++)";
+        var structure = function() {
+            for (_; _; _) {
+                rect(_);
+                $not(fill(_));
+            }
+        };
+        equal(Structured.match(loop + " { fill(0); rect(1); }", structure),
+            false, "$not forbids the statement in the block.");
+        equal(Structured.match(loop + " { if (a) { fill(0); } rect(1); }",
+            structure), false, "$not forbids nested statements too.");
+        ok(Structured.match(loop + " { fill(0); rect(1); } " + loop +
+            " { rect(2); }", structure), "Another block can still match.");
+        ok(Structured.match("fill(0); " + loop + " { rect(1); }", structure),
+            "$not only applies within the block.");
+
+        structure = function() {
+            for (_; _; _) {
+                rect($a);
+                $not(fill($a));
+            }
+        };
+        equal(Structured.match(loop + " { fill(1); rect(1); }", structure),
+            false, "$not shares variables with the structure.");
+        ok(Structured.match(loop + " { fill(2); rect(1); }", structure),
+            "$not only forbids the bound value.");
+
+        structure = function() {
+            var $x = _;
+            $not(function() {
+                rect($x);
+            });
+        };
+        equal(Structured.match("var a = 1; rect(a);", structure), false,
+            "Top-level $not applies to the whole code.");
+        ok(Structured.match("var a = 1; rect(b);", structure),
+            "$not accepts a function of statements.");
+
+        equal(Structured.matchAll(loop + " { fill(0); rect(1); } " + loop +
+            " { rect(2); }", function() {
+                for (_; _; _) {
+                    rect(_);
+                    $not(fill(_));
+                }
+            }).length, 1, "matchAll skips matches with forbidden statements.");
+
+        throws(function() {
+            Structured.match("f(1);", function() {
+                f($not(1));
+            });
+        }, "$not is only allowed as a statement.");
+    });
+
+    test("Explaining forbidden structures", function() {
+        var report = Structured.match("while (true) { x(); }", function() {
+            x();
+        }, {explain: true, forbid: function() {
+            while (true) {}
+        }});
+        equal(report.reason, "forbidden", "The reason is reported.");
+        equal(report.forbidden.statements[0].type, "WhileStatement",
+            "The forbidden structure is reported.");
+        equal(report.forbidden.node.type, "WhileStatement",
+            "The forbidden code is reported.");
+    });
+};
+
+var unorderedTests = function() {
+    QUnit.module("Unordered statements");
+
+    test("Unordered option", function() {
+        var code = "stroke(1); fill(2); rect(1, 2, 3, 4);";
+        var structure = function() {
+            fill(_);
+            stroke(_);
+            rect(_, _, _, _);
+        };
+        equal(Structured.match(code, structure), false,
+            "Statements are ordered by default.");
+        ok(Structured.match(code, structure, {unordered: true}),
+            "Statements match in any order with the unordered option.");
+        ok(Structured.match("if (x) { b(); a(); }", function() {
+            if (_) {
+                a();
+                b();
+            }
+        }, {unordered: true}), "Nested blocks are unordered too.");
+        equal(Structured.match("fill(1);", function() {
+            fill(_);
+            fill(_);
+        }, {unordered: true}), false, "Each statement needs its own match.");
+    });
+
+    test("$unordered statements", function() {
+        var structure = function() {
+            $unordered(fill(_), stroke(_));
+            rect(_, _, _, _);
+        };
+        ok(Structured.match("stroke(1); fill(2); rect(1, 2, 3, 4);", structure),
+            "Grouped statements match in any order.");
+        equal(Structured.match("stroke(1); rect(1, 2, 3, 4); fill(2);",
+            structure), false, "The group is still ordered with the rest.");
+
+        ok(Structured.match("if (x) { b(); a(); }", function() {
+            if (_) {
+                $unordered(function() {
+                    a();
+                    b();
+                });
+            }
+        }), "Functions group their statements.");
+
+        var result = Structured.match("g(2); f(1); f(2);", function() {
+            $unordered(f($a), g($a));
+        });
+        equal(result.vars.a.value, 2, "Variables are consistent in any order.");
+        equal(Structured.match("g(3); f(1); f(2);", function() {
+            $unordered(f($a), g($a));
+        }), false, "Inconsistent variables do not match in any order.");
+
+        equal(Structured.matchAll("b(); a(); a(); b();", function() {
+            $unordered(a(), b());
+        }).length, 2, "matchAll finds unordered groups.");
+
+        throws(function() {
+            Structured.match("f(1);", function() {
+                f($unordered(1));
+            });
+        }, "$unordered is only allowed as a statement.");
+    });
+
+    test("Large groups", function() {
+        var code = "j(); i(); h(); g(); f(); e(); d(); c(); b(); a();";
+        var statements = "a(); b(); c(); d(); e(); f(); g(); h(); i(); j();";
+        // There are 3628800 orders of ten statements, far more than the steps.
+        ok(Structured.match(code, "function() {" + statements + "}",
+            {unordered: true, maxSteps: 1000}),
+            "Many unordered statements are matched without trying every order.");
+        strictEqual(Structured.match(code, "function() { $unordered(function() {" +
+            statements + " k(); }); }", {maxSteps: 1000}), false,
+            "A group that is not there fails without trying every order.");
+        strictEqual(Structured.match("a(); c(); e(); g(); i();", "function() {" +
+            "$optional(a()); $optional(b()); $optional(c()); $optional(d());" +
+            "$optional(e()); $optional(f()); $optional(g()); $optional(h());" +
+            "$optional(i()); $optional(j()); k(); }", {maxSteps: 10000}), false,
+            "Optional statements are left out without trying every combination.");
+        equal(Structured.match("rect(1); rect(2);", function() {
+            $unordered(rect(_), rect(1));
+        }).root.expression.arguments[0].value, 1,
+            "Any statement of a group may be the first one found.");
+    });
+};
+
+var adjacencyTests = function() {
+    QUnit.module("Direct and adjacent statements");
+
+    test("Direct option", function() {
+        var structure = function() {
+            if (_) {
+                foo();
+            }
+        };
+        var nested = "if (x) { while (y) { foo(); } }";
+        ok(Structured.match(nested, structure),
+            "Statements match at any depth by default.");
+        equal(Structured.match(nested, structure, {direct: true}), false,
+            "Nested statements must be direct children with the direct option.");
+        ok(Structured.match("if (x) { bar(); foo(); }", structure, {direct: true}),
+            "Direct children match with the direct option.");
+        ok(Structured.match("while (y) { if (x) { foo(); } }", structure,
+            {direct: true}), "The top-level statement may be at any depth.");
+    });
+
+    test("Adjacent option", function() {
+        var structure = function() {
+            bar();
+            foo();
+        };
+        ok(Structured.match("bar(); x(); foo();", structure),
+            "Peers may be separated by default.");
+        equal(Structured.match("bar(); x(); foo();", structure, {adjacent: true}),
+            false, "Peers must be consecutive with the adjacent option.");
+        ok(Structured.match("bar(); x(); bar(); foo();", structure,
+            {adjacent: true}), "A later pair of statements is found.");
+        ok(Structured.match("if (y) { bar(); foo(); }", structure,
+            {adjacent: true}), "Top-level statements may be in any block.");
+        equal(Structured.match("if (y) { while (z) { foo(); } }", function() {
+            if (_) {
+                foo();
+            }
+        }, {adjacent: true}), false, "Nested statements must be direct children.");
+    });
+
+    test("$direct and $adjacent statements", function() {
+        var structure = function() {
+            if (_) {
+                $adjacent(bar(), foo());
+            }
+        };
+        ok(Structured.match("if (x) { bar(); foo(); }", structure),
+            "Consecutive direct children match.");
+        equal(Structured.match("if (x) { bar(); y(); foo(); }", structure), false,
+            "Separated statements do not match.");
+        equal(Structured.match("if (x) { for (;;) { bar(); foo(); } }", structure),
+            false, "Nested statements do not match.");
+        ok(Structured.match("if (x) { bar(); y(); bar(); foo(); }", structure),
+            "The group can be found after a false start.");
+
+        var direct = function() {
+            if (_) {
+                $direct(foo());
+                bar();
+            }
+        };
+        ok(Structured.match("if (x) { foo(); while (y) { bar(); } }", direct),
+            "Statements outside $direct match at any depth.");
+        equal(Structured.match("if (x) { while (y) { foo(); bar(); } }", direct),
+            false, "Statements in $direct must be direct children.");
+
+        var result = Structured.match("a(1); b(2); a(2); b(2);", function() {
+            $adjacent(a($x), b($x));
+        });
+        equal(result.vars.x.value, 2, "Variables are consistent in a group.");
+        equal(Structured.matchAll("a(); b(); c(); a(); c(); b();", function() {
+            $adjacent(a(), b());
+        }).length, 1, "matchAll only finds consecutive groups.");
+
+        throws(function() {
+            Structured.match("f(1);", function() {
+                f($direct(1));
+            });
+        }, "$direct is only allowed as a statement.");
+    });
+};
+
+var countTests = function() {
+    QUnit.module("Occurrence counts");
+
+    test("Count options", function() {
+        var code = "rect(1, 2, 3, 4); rect(1, 2, 3, 4); if (x) { rect(5, 6, 7, 8); }";
+        var structure = function() {
+            rect(_, _, _, _);
+        };
+        var result = Structured.match(code, structure, {min: 3});
+        equal(result.count, 3, "The result has the number of matches.");
+        equal(result.matches.length, 3, "The result lists every match.");
+        equal(result.root, result.matches[0].root, "The result is the first match.");
+        ok(Structured.match(code, structure, {max: 3}), "At most three matches.");
+        ok(Structured.match(code, structure, {exactly: 3}), "Exactly three matches.");
+        equal(Structured.match(code, structure, {min: 4}), false, "Too few matches.");
+        equal(Structured.match(code, structure, {max: 2}), false, "Too many matches.");
+        equal(Structured.match(code, structure, {exactly: 2}), false,
+            "Not exactly two matches.");
+
+        result = Structured.match(code, function() {
+            eval(_);
+        }, {max: 0});
+        equal(result.count, 0, "No matches can be allowed.");
+        equal(result.root, null, "There is no root without a match.");
+
+        equal(Structured.match("var a = 1; a = 2;", function() {
+            $x = _;
+        }, {exactly: 1}), false, "Every distinct match is counted.");
+    });
+
+    test("Count failures", function() {
+        var code = "rect(1, 2, 3, 4); rect(1, 2, 3, 4);";
+        var structure = function() {
+            rect(_, _, _, _);
+        };
+        var varCallbacks = {};
+        equal(Structured.match(code, structure, {min: 3, varCallbacks: varCallbacks}),
+            false, "Too few matches.");
+        equal(varCallbacks.failure, "Found 2 matches, but expected at least 3.",
+            "The failure message has the number of matches found.");
+
+        var report = Structured.match(code, structure, {max: 1, explain: true});
+        equal(report.matched, false, "The explain report is returned.");
+        equal(report.reason, "count", "The report is for the count.");
+        equal(report.count, 2, "The report has the number of matches found.");
+        equal(report.failure, "Found 2 matches, but expected at most 1.",
+            "The report has the failure message.");
+    });
+};
+
+var alternationTests = function() {
+    QUnit.module("Alternation");
+
+    test("$or statements", function() {
+        var structure = function() {
+            $or(function() {
+                for (_; _; _) {
+                    $action();
+                }
+            }, function() {
+                while (_) {
+                    $action();
+                }
+            });
+        };
+        ok(Structured.match("for (var i = 0; i < 3; i++) { go(); }", structure),
+            "The first alternative matches.");
+        var result = Structured.match("while (y) { go(); }", structure);
+        equal(result.vars.action.name, "go", "The second alternative matches.");
+        equal(Structured.match("do { go(); } while (y);", structure), false,
+            "Code matching neither alternative does not match.");
+        equal(Structured.match("c(); a();", function() {
+            $or(a(), b());
+            $or(c(), d());
+        }), false, "Alternatives keep their place in the order.");
+    });
+
+    test("$or expressions", function() {
+        var structure = function() {
+            fill($c);
+            $or(ellipse($c, _, _, _), rect($c, _, _, _));
+        };
+        ok(Structured.match("fill(1); rect(1, 2, 3, 4);", structure),
+            "An alternative expression matches.");
+        ok(Structured.match("fill(1); ellipse(1, 2, 3, 4);", structure),
+            "The other alternative expression matches.");
+        equal(Structured.match("fill(1); rect(2, 2, 3, 4);", structure), false,
+            "Variables in an alternative agree with the rest of the structure.");
+
+        var result = Structured.match("a = 2; a++;", function() {
+            $x = $or(1, 2);
+            $x++;
+        });
+        equal(result.vars.x.name, "a", "Alternatives can be nested in expressions.");
+    });
+
+    test("$or with negations", function() {
+        var structure = function() {
+            if (_) {
+                go();
+                $not($or(a(), b()));
+            }
+        };
+        ok(Structured.match("if (x) { go(); }", structure),
+            "Neither forbidden alternative is present.");
+        equal(Structured.match("if (x) { go(); a(); }", structure), false,
+            "The first alternative is forbidden.");
+        equal(Structured.match("if (x) { go(); b(); }", structure), false,
+            "The second alternative is forbidden.");
+        equal(Structured.match("ellipse(1, 2, 3, 4);", function() {
+            ellipse(_, _, _, _);
+        }, {forbid: function() {
+            $or(rect(_, _, _, _), ellipse(1, _, _, _));
+        }}), false, "Every alternative of a forbidden structure is forbidden.");
+
+        throws(function() {
+            Structured.match("a();", function() {
+                $or();
+            });
+        }, "$or needs an alternative.");
+    });
+};
+
+var optionalTests = function() {
+    QUnit.module("Optional statements");
+
+    test("$optional statements", function() {
+        var structure = function() {
+            fill(_);
+            $optional(stroke($s));
+            rect(_, _, _, _);
+        };
+        var result = Structured.match("fill(1); stroke(2); rect(1, 2, 3, 4);",
+            structure);
+        deepEqual(result.optional, [true], "The optional statement was found.");
+        equal(result.vars.s.value, 2, "Its variables are bound.");
+
+        result = Structured.match("fill(1); rect(1, 2, 3, 4);", structure);
+        deepEqual(result.optional, [false], "The optional statement was not found.");
+        strictEqual(result.vars.s, null, "Its variables are null.");
+
+        equal(Structured.match("fill(1); stroke(2);", structure), false,
+            "The other statements are still needed.");
+        equal(Structured.match("fill(1); rect(1, 2, 3, 4);", function() {
+            fill(_);
+            rect(_, _, _, _);
+        }).optional, undefined, "Results without optional statements are unchanged.");
+    });
+
+    test("Nested $optional statements", function() {
+        var structure = function() {
+            a();
+            $optional(function() {
+                b();
+                $optional(d());
+            });
+            c();
+        };
+        deepEqual(Structured.match("a(); c();", structure).optional,
+            [false, false], "Neither was found.");
+        deepEqual(Structured.match("a(); b(); c();", structure).optional,
+            [true, false], "The outer one was found.");
+        deepEqual(Structured.match("a(); b(); d(); c();", structure).optional,
+            [true, true], "Both were found.");
+
+        var results = Structured.matchAll("a(); b(); c(); a(); c();", function() {
+            a();
+            $optional(b());
+            c();
+        });
+        deepEqual([results[0].optional, results[1].optional], [[true], [false]],
+            "matchAll reports optional statements for each match.");
+
+        throws(function() {
+            Structured.match("f(1);", function() {
+                f($optional(1));
+            });
+        }, "$optional is only allowed as a statement.");
+    });
+};
+
+var typedWildcardTests = function() {
+    QUnit.module("Typed wildcards");
+
+    test("Typed blanks", function() {
+        ok(Structured.match("x = 5;", function() {
+            x = _$Literal;
+        }), "A literal matches a literal blank.");
+        equal(Structured.match("x = y;", function() {
+            x = _$Literal;
+        }), false, "An identifier does not match a literal blank.");
+        equal(Structured.match("x = y + 1;", function() {
+            x = _$Literal;
+        }), false, "A literal nested in the node does not count.");
+        ok(Structured.match("f(g());", function() {
+            f(_$CallExpression);
+        }), "Any Esprima node type can be used.");
+        ok(Structured.match("f(\"a\", true, null, /a/);", function() {
+            f(_$String, _$Boolean, _$Null, _$RegExp);
+        }), "Literal value types can be used.");
+        equal(Structured.match("f(1);", function() {
+            f(_$String);
+        }), false, "Literals of other types do not match.");
+        ok(Structured.match("rect(1, 2);", "function() { rect(_$Number, _); }"),
+            "Typed blanks work in structure strings.");
+        throws(function() {
+            Structured.match("f(1);", function() {
+                f(_$Foo);
+            });
+        }, "Unknown types are not allowed.");
+    });
+
+    test("Typed variables", function() {
+        var result = Structured.match("x = \"a\"; y = 3;", function() {
+            $v = $n$Number;
+        });
+        equal(result.vars.v.name, "y", "The variable is named without its type.");
+        equal(result.vars.n.value, 3, "Only a number is bound.");
+        equal(Structured.match("rect(a + 1, 2);", function() {
+            rect($n$Number, _);
+        }), false, "A number nested in the argument does not count.");
+        ok(Structured.match("rect(a, a);", function() {
+            rect($n, $n$Identifier);
+        }), "The type can be given on any occurrence.");
+        equal(Structured.match("rect(1, 1);", function() {
+            rect($n, $n$Identifier);
+        }), false, "The type applies to every occurrence.");
+        throws(function() {
+            Structured.match("f(1);", function() {
+                f($a$Number, $a$String);
+            });
+        }, "A variable has only one type.");
+    });
+};
+
+var backtrackingTests = function() {
+    QUnit.module("Backtracking");
+
+    test("Variables are matched consistently", function() {
+        var result = Structured.match("rect(1, 2); fill(0); rect(2, 1);", function() {
+            rect($a, $b);
+            rect($b, $a);
+        });
+        equal(result.vars.a.value, 1, "The first variable is assigned.");
+        equal(result.vars.b.value, 2, "The second variable is assigned.");
+        equal(Structured.match("if (a) { rect(a, b); } else { rect(b, b); }", function() {
+            rect($a, $b);
+            rect($b, $a);
+        }), false, "Later occurrences must be the same as the first.");
+        equal(Structured.match("rect(1, 2); fill(2);", function() {
+            rect(_, $a);
+            fill($a);
+            rect($a, _);
+        }), false, "A variable is never unassigned partway through a match.");
+    });
+
+    test("Failed attempts leave nothing behind", function() {
+        var code = "if (x) { rect(1, 5); } if (y) { rect(2, 6); fill(2); }";
+        var result = Structured.match(code, function() {
+            if (_) {
+                rect($a, _);
+                fill($a);
+            }
+        });
+        deepEqual(result._, [{type: "Identifier", name: "y"},
+            {type: "Literal", value: 6, raw: "6"}],
+            "Only the blanks of the match found are returned.");
+        equal(result.vars.a.value, 2, "The variable has its final value.");
+        equal(result.root.test.name, "y", "The root is the matched statement.");
+
+        result = Structured.match("f(a); rect(b, b);", function() {
+            rect($x, $x);
+        });
+        equal(result.root.type, "ExpressionStatement",
+            "The root is not a node inside the matched statement.");
+    });
+
+    test("Callbacks backtrack to the variables they reject", function() {
+        var code = "";
+        for (var i = 0; i < 30; i++) {
+            code += "rect(" + i + ", " + (i * 2) + ");\n";
+        }
+        var result = Structured.match(code, function() {
+            rect($a, _);
+            rect($b, _);
+            rect($c, _);
+        }, {
+            varCallbacks: {
+                "$a, $b, $c": function(a, b, c) {
+                    return a.value + b.value + c.value === 84;
+                }
+            }
+        });
+        deepEqual([result.vars.a.value, result.vars.b.value, result.vars.c.value],
+            [27, 28, 29], "The only accepted values are found.");
+    });
+
+    test("Long structures", function() {
+        var code = "";
+        for (var i = 0; i < 200; i++) {
+            code += "rect(" + i + ", f(x + " + i + ", [1, {a: b}]));\n";
+        }
+        ok(Structured.match(code, "function() {" + code + "}"),
+            "A structure with many statements matches itself.");
+        ok(Structured.match(code + "fill(1);", "function() {" + code + "$x(1);}"),
+            "Variables may come after many statements.");
+    });
+};
+
+var budgetTests = function() {
+    QUnit.module("Search limits");
+
+    var code = "";
+    for (var i = 0; i < 30; i++) {
+        code += "rect(" + i + ", " + i + ");\n";
+    }
+    var structure = function() {
+        rect($a, _);
+        rect($b, _);
+        rect($c, _);
+        rect($d, _);
+    };
+    var rejectAll = {
+        "$a, $b, $c, $d": function() {
+            return false;
+        }
+    };
+
+    test("Step limits", function() {
+        var result = Structured.match(code, structure, {
+            varCallbacks: rejectAll,
+            maxSteps: 1000
+        });
+        equal(result.aborted, true, "The search stops when it runs out of steps.");
+        equal(result.matched, false, "An aborted search is not a match.");
+        equal(result.reason, "maxSteps", "The reason is the limit that was hit.");
+        equal(result.steps, 1000, "The steps taken are reported.");
+        ok(result.elapsed >= 0, "The time taken is reported.");
+
+        result = Structured.match(code, structure, {maxSteps: 1000});
+        equal(result.vars.a.value, 0, "A search within the limit matches as usual.");
+        equal(Structured.match(code, function() { fill(_); }, {maxSteps: 1000}),
+            false, "A search within the limit fails as usual.");
+    });
+
+    test("Time limits", function() {
+        var result = Structured.match(code, structure, {
+            varCallbacks: rejectAll,
+            timeoutMs: 0
+        });
+        equal(result.aborted, true, "The search stops when it runs out of time.");
+        equal(result.reason, "timeoutMs", "The reason is the limit that was hit.");
+        equal(result.steps, 0, "The steps taken are reported.");
+        ok(Structured.match(code, structure, {timeoutMs: 10000}),
+            "A search within the limit matches as usual.");
+
+        var start = new Date().getTime();
+        Structured.match("h(); g(); f(); e(); d(); c(); b(); a();", function() {
+            $unordered(a(), b(), c(), d(), e(), f(), g(), h(), i());
+        }, {timeoutMs: 50});
+        ok(new Date().getTime() - start < 1000,
+            "Preparing a large group of statements stays within the limit.");
+    });
+
+    test("Limits on other searches", function() {
+        equal(Structured.matchAll(code, structure, {maxSteps: 10}).aborted, true,
+            "matchAll reports running out of steps.");
+        equal(Structured.matchAll(code, function() { rect(_, _); },
+            {maxSteps: 10000}).length, 30, "matchAll works within the limit.");
+        equal(Structured.match(code, function() { rect(_, _); },
+            {min: 1, maxSteps: 10}).aborted, true,
+            "Counting matches reports running out of steps.");
+        equal(Structured.match(code, structure, {
+            varCallbacks: rejectAll,
+            explain: true,
+            maxSteps: 1000
+        }).aborted, true, "Explaining a failure shares the limit.");
+    });
+};
+
+var globTests = function() {
+    QUnit.module("Globs");
+
+    var values = function(nodes) {
+        var result = [];
+        for (var i = 0; i < nodes.length; i++) {
+            result.push(nodes[i].value);
+        }
+        return result;
+    };
+    var callees = function(statements) {
+        var result = [];
+        for (var i = 0; i < statements.length; i++) {
+            result.push(statements[i].expression.callee.name);
+        }
+        return result;
+    };
+
+    test("Globs in argument lists", function() {
+        var result = Structured.match("f(1, 2, 3, 4);", function() {
+            f(_, glob$middle, $last);
+        });
+        deepEqual(values(result.vars.middle), [2, 3], "The glob covers the middle.");
+        equal(result.vars.last.value, 4, "Arguments after the glob match the end.");
+        result = Structured.match("f(1, 2);", function() {
+            f(glob$first, _, _);
+        });
+        deepEqual(result.vars.first, [], "A glob may cover no arguments.");
+        equal(Structured.match("f(1, 2);", function() {
+            f(glob$a, 2, 3);
+        }), false, "Arguments after a glob must be found.");
+        deepEqual(Structured.match("f(1, 2, 3);", function() {
+            f(1, glob_);
+        })._, [[{type: "Literal", value: 2, raw: "2"},
+            {type: "Literal", value: 3, raw: "3"}]],
+            "glob_ adds the arguments it covers to _.");
+    });
+
+    test("Globs in statement lists", function() {
+        var code = "fill(1); rect(1); stroke(2); rect(2); noFill();";
+        var result = Structured.match(code, function() {
+            glob$before;
+            rect(_);
+            glob$after;
+        });
+        deepEqual(callees(result.vars.before), ["fill"], "A glob covers the statements before.");
+        deepEqual(callees(result.vars.after), ["stroke", "rect", "noFill"],
+            "A glob covers the statements after.");
+        result = Structured.match(code, function() {
+            fill(_);
+            glob$middle;
+            noFill();
+        });
+        deepEqual(callees(result.vars.middle), ["rect", "stroke", "rect"],
+            "A glob covers the statements between.");
+        equal(Structured.match(code, function() {
+            rect(_);
+            glob$middle;
+            fill(_);
+        }), false, "Statements after a glob must be found.");
+        ok(Structured.match(code, function() {
+            glob_;
+            glob_;
+            noFill();
+        }), "Globs may follow each other.");
+    });
+
+    test("Globs in arrays and objects", function() {
+        var result = Structured.match("x = [1, 2, 3, 4, 5];", function() {
+            x = [glob$a, 3, glob$b];
+        });
+        deepEqual(values(result.vars.a), [1, 2], "A glob covers the elements before.");
+        deepEqual(values(result.vars.b), [4, 5], "A glob covers the elements after.");
+        result = Structured.match("x = {a: 1, b: 2, c: 3};", function() {
+            x = {b: _, glob$rest: _};
+        });
+        equal(result.vars.rest.length, 1, "A glob may be a property name.");
+        equal(result.vars.rest[0].key.name, "c", "It covers the properties after.");
+    });
+};
+
+var whereTests = function() {
+    QUnit.module("Variable conditions");
+
+    test("Regular expressions", function() {
+        var code = "function setup() {} function drawTree() { text(\"Hello there\", 10, 10); }";
+        var result = Structured.match(code, function() {
+            function $fn() {}
+        }, {where: {"$fn": {name: /^draw/}}});
+        equal(result.vars.fn.name, "drawTree", "Only a matching name is accepted.");
+        result = Structured.match(code, function() {
+            text($msg, _, _);
+        }, {where: {"$msg": {value: /Hello/}}});
+        equal(result.vars.msg.value, "Hello there", "String values can be matched.");
+        equal(Structured.match(code, function() {
+            text($msg, _, _);
+        }, {where: {"$msg": {value: /Goodbye/}}}), false,
+            "A value that does not match is rejected.");
+        ok(Structured.match("x = 42;", function() {
+            x = $n;
+        }, {where: {"$n": {value: /^4/}}}), "Number values can be matched.");
+        equal(Structured.match("x = y;", function() {
+            x = $n;
+        }, {where: {"$n": {value: /y/}}}), false,
+            "Nodes without the property are rejected.");
+        var global = /o/g;
+        ok(Structured.match("f(foo); f(bob);", function() {
+            f($a);
+            f($b);
+        }, {where: {"$a": {name: global}, "$b": {name: global}}}),
+            "Global regular expressions can be reused.");
+    });
+
+    test("Sets and values", function() {
+        var code = "fill(255, 0, 0); stroke(0, 0, 255);";
+        var result = Structured.match(code, function() {
+            $fn(_, _, _);
+        }, {where: {"$fn": {name: ["stroke", "noStroke"]}}});
+        equal(result.vars.fn.name, "stroke", "The name must be in the list.");
+        result = Structured.match(code, function() {
+            _($n, _, _);
+        }, {where: {"$n": {value: 0}}});
+        equal(result.root.expression.callee.name, "stroke",
+            "The value must be equal.");
+        equal(Structured.match(code, function() {
+            $fn(_, _, _);
+        }, {where: {"$fn": {name: ["rect"]}}}), false,
+            "Names outside the list are rejected.");
+    });
+
+    test("Conditions prune the search", function() {
+        var code = "";
+        for (var i = 0; i < 30; i++) {
+            code += "rect(" + i + ", " + i + ");\n";
+        }
+        var result = Structured.match(code, function() {
+            rect($a, _);
+            rect($b, _);
+            rect($c, _);
+        }, {
+            where: {"$c": {value: [29]}},
+            maxSteps: 5000
+        });
+        equal(result.vars.c.value, 29, "Only accepted values are tried.");
+    });
+};
+
+var declarativeConstraintTests = function() {
+    QUnit.module("Declarative constraints");
+
+    var code = "var x = 150; var y = 50; rect(x, y, 20, 20);";
+    var structure = function() {
+        var _ = $a;
+        var _ = $b;
+        rect(_, _, $w, $h);
+    };
+
+    test("Comparisons", function() {
+        ok(Structured.match(code, structure, {
+            varCallbacks: {"$a": {type: "Number", gt: 100, lt: 200}}
+        }), "A value in range is accepted.");
+        equal(Structured.match(code, structure, {
+            varCallbacks: {"$a": {gt: 200}}
+        }), false, "A value out of range is rejected.");
+        ok(Structured.match(code, structure, {
+            varCallbacks: {"$b": {"in": [25, 50]}, "$w": {equals: 20}}
+        }), "Lists and single values can be given.");
+        equal(Structured.match(code, structure, {
+            varCallbacks: {"$a": {type: "String"}}
+        }), false, "Types are checked.");
+    });
+
+    test("Combinations", function() {
+        ok(Structured.match(code, structure, {
+            varCallbacks: {"$a": {or: [{equals: 10}, {gt: 100}]}}
+        }), "or needs one description to hold.");
+        ok(Structured.match(code, structure, {
+            varCallbacks: {"$a": {and: [{gt: 100}, {not: {equals: 120}}]}}
+        }), "and needs every description to hold.");
+        equal(Structured.match(code, structure, {
+            varCallbacks: {"$a": {not: {type: "Literal"}}}
+        }), false, "not rejects what its description accepts.");
+        ok(Structured.match(code, structure, {
+            varCallbacks: {"$h": {sameAs: "$w"}}
+        }), "sameAs compares with another variable.");
+        equal(Structured.match(code, structure, {
+            varCallbacks: {"$a": {sameAs: "$b"}}
+        }), false, "sameAs rejects different code.");
+    });
+
+    test("Formats and failure messages", function() {
+        var varCallbacks = {
+            "$a": {gt: 200, failure: "The x position should be over 200."}
+        };
+        equal(Structured.match(code, structure, {varCallbacks: varCallbacks}), false,
+            "The description is not met.");
+        equal(varCallbacks.failure, "The x position should be over 200.",
+            "The failure message is reported.");
+
+        varCallbacks = [{
+            variable: "$a",
+            and: [{gt: 0, failure: "Too small."}, {lt: 100, failure: "Too big."}],
+            failure: "Out of range."
+        }];
+        equal(Structured.match(code, structure, {varCallbacks: varCallbacks}), false,
+            "Descriptions can be listed with a variable property.");
+        equal(varCallbacks.failure, "Too big.", "The innermost message is used.");
+
+        varCallbacks = JSON.parse(JSON.stringify({
+            variable: "$b",
+            or: [{equals: 1, failure: "Not one."}, {equals: 2}],
+            failure: "Should be one or two."
+        }));
+        equal(Structured.match(code, structure, {varCallbacks: varCallbacks}), false,
+            "A single description can be given.");
+        equal(varCallbacks.failure, "Should be one or two.",
+            "Messages inside or are not used.");
+
+        ok(Structured.match(code, structure, {varCallbacks: [
+            {variable: "$a", gt: 100},
+            function isFifty($b) { return $b.value === 50; }
+        ]}), "Descriptions mix with callbacks.");
+        throws(function() {
+            Structured.match(code, structure, {varCallbacks: {"$a": {over: 100}}});
+        }, "Unknown operators are reported.");
+        throws(function() {
+            Structured.match(code, structure, {varCallbacks: {"$a": {type: "Numbr"}}});
+        }, "Unknown types are reported.");
+    });
+};
+
+var constraintHelperTests = function() {
+    QUnit.module("Constraint helpers");
+
+    var constraints = Structured.constraints;
+    var code = "var speed = 5; rect(10, 500, 'wide', speed);";
+    var structure = function() {
+        var $v = _;
+        rect($x, $y, $s, $n);
+    };
+
+    var failure = function(varCallbacks) {
+        var result = Structured.match(code, structure,
+            {varCallbacks: varCallbacks});
+        return result ? null : varCallbacks.failure;
+    };
+
+    test("Predicates", function() {
+        equal(failure({"$x": constraints.isNumber()}), null,
+            "isNumber accepts a number literal.");
+        equal(failure({"$n": constraints.isNumber()}),
+            "Expected a number, but found speed.",
+            "isNumber rejects a variable.");
+        equal(failure({"$s": constraints.isString(), "$v": constraints.isIdentifier()}),
+            null, "isString and isIdentifier accept their nodes.");
+        equal(failure({"$x": constraints.isString()}),
+            "Expected a string, but found 10.", "isString rejects a number.");
+        equal(failure({"$x, $y": constraints.inRange(0, 400)}),
+            "Expected a number from 0 to 400, but found 500.",
+            "Every variable of the key is checked.");
+        equal(failure({"$x": constraints.inRange(0, 10)}), null,
+            "inRange includes its ends.");
+        equal(failure({"$x, $y": constraints.distinct()}), null,
+            "distinct accepts different code.");
+        equal(failure({"$v, $n": constraints.distinct()}),
+            "Expected different values, but found speed twice.",
+            "distinct rejects the same code.");
+    });
+
+    test("Combinations", function() {
+        equal(failure({"$n": constraints.not(constraints.isNumber())}), null,
+            "not accepts what its predicate rejects.");
+        equal(failure({"$x": constraints.not(constraints.isNumber())}),
+            "Expected anything but a number, but found 10.",
+            "not rejects what its predicate accepts.");
+        equal(failure({"$x, $s": constraints.or(constraints.isNumber(),
+                constraints.isString())}), null,
+            "or needs one predicate to hold.");
+        equal(failure({"$n": constraints.or(constraints.isNumber(),
+                constraints.isString())}),
+            "Expected a number or a string, but found speed.",
+            "or describes all its predicates.");
+        equal(failure({"$y": constraints.and(constraints.isNumber(),
+                constraints.inRange(0, 400))}),
+            "Expected a number from 0 to 400, but found 500.",
+            "and reports the predicate that failed.");
+        equal(failure({"$x, $y": constraints.and(constraints.isNumber(),
+                constraints.distinct())}), null,
+            "distinct can be combined with and.");
+    });
+
+    test("Formats", function() {
+        ok(Structured.match(code, structure, {varCallbacks: [
+            {variables: ["$x"], fn: constraints.isNumber()},
+            function($s) {
+                return $s.value === "wide";
+            }
+        ]}), "Helpers can be listed with anonymous callback functions.");
+        throws(function() {
+            Structured.match(code, structure, {varCallbacks: [constraints.isNumber()]});
+        }, "Helpers given without variables are reported.");
+    });
+};
+
+var pureApiTests = function() {
+    QUnit.module("Pure API");
+
+    var code = "var x = 5; rect(x, 10);";
+    var structure = function() {
+        var $a = $b;
+    };
+    var tooSmall = function($b) {
+        return $b.value > 100 || {failure: "The number is too small."};
+    };
+
+    test("Results", function() {
+        var result = Structured.check(code, structure);
+        equal(result.matched, true, "A match is marked as matched.");
+        equal(result.vars.b.value, 5, "A match has the usual results.");
+
+        var varCallbacks = [tooSmall];
+        result = Structured.check(code, structure, {varCallbacks: varCallbacks});
+        equal(result.matched, false, "A failed match is marked as failed.");
+        equal(result.failure, "The number is too small.",
+            "The failure message is in the result.");
+        equal(result.failures[0].vars.b.value, 5,
+            "The failures are in the result.");
+        equal(varCallbacks.failure, undefined,
+            "The failure message is not set on the varCallbacks.");
+
+        deepEqual(Structured.check(code, function() { rect(1, _); }),
+            {matched: false, failure: null, failures: null},
+            "A missing structure has no failure message.");
+        equal(Structured.check(code, function() { rect(1, _); },
+            {explain: true}).reason, "missing", "Failures can be explained.");
+    });
+
+    test("Inputs are not changed", function() {
+        var varCallbacks = [tooSmall];
+        var options = {varCallbacks: varCallbacks};
+        Structured.check(code, structure, options);
+        strictEqual(varCallbacks[0], tooSmall, "varCallbacks lists are kept.");
+        deepEqual(Object.keys(options), ["varCallbacks"],
+            "The options are not changed.");
+
+        Structured.match(code, structure, options);
+        strictEqual(varCallbacks[0], tooSmall, "match keeps them too.");
+        Structured.matchNode(code, structure, options);
+        deepEqual(Object.keys(options), ["varCallbacks"],
+            "matchNode does not change the options.");
+    });
+
+    test("Reentrant matches", function() {
+        var inner;
+        var varCallbacks = {
+            "$b": function(b) {
+                inner = Structured.match(code, function() {
+                    rect($c, _);
+                }, {varCallbacks: {"$c": function() {
+                    return {failure: "Inner failure."};
+                }}});
+                return {failure: "Outer failure."};
+            }
+        };
+        equal(Structured.match(code, structure, {varCallbacks: varCallbacks}),
+            false, "The outer match fails.");
+        equal(inner, false, "The inner match fails.");
+        equal(varCallbacks.failure, "Outer failure.",
+            "The inner match does not change the outer failure.");
+
+        var result = Structured.check(code, structure, {varCallbacks: {
+            "$b": function(b) {
+                return Structured.check(code, function() {
+                    rect(_, $c);
+                }, {varCallbacks: {"$c": function(c) {
+                    return c.value > 100;
+                }}}).matched ||
+                    {failure: "The inner check failed."};
+            }
+        }});
+        equal(result.failure, "The inner check failed.",
+            "Checks can be nested.");
+    });
+};
+
+var es2015Tests = function() {
+    QUnit.module("ES2015+ syntax");
+
+    test("Modern code", function() {
+        ok(Structured.match("let x = 5; const y = x * 2;",
+            "function() { let $a = _; const _ = $a * 2; }"),
+            "let and const declarations are matched.");
+        equal(Structured.match("let x = 5;", "function() { var x = 5; }"),
+            false, "The kind of declaration matters.");
+        ok(Structured.match("class Ball extends Shape { draw() { ellipse(1, 2); } }",
+            "function() { class $C extends _ { draw() { ellipse(_, _); } } }"),
+            "Classes are matched.");
+        ok(Structured.match("for (const p of points) { draw(p); }",
+            "function() { for (const $p of _) { draw($p); } }"),
+            "for-of loops are matched.");
+        ok(Structured.match("var s = `Hi ${name}!`;",
+            "function() { var _ = `Hi ${$n}!`; }"),
+            "Template literals are matched.");
+        equal(Structured.match("var {x, y} = point;",
+            "function() { var {x: $x, y} = _; }").vars.x.name, "x",
+            "Destructuring is matched.");
+        var result = Structured.match("function f(a, b = 2, ...rest) {}",
+            "function() { function f(_, $b = 2, ...$r) {} }");
+        deepEqual([result.vars.b.name, result.vars.r.name], ["b", "rest"],
+            "Default and rest parameters are matched.");
+        ok(Structured.match("import draw from 'draw'; draw();",
+            "function() { draw(); }"), "Modules are parsed.");
+    });
+
+    test("Shorthand", function() {
+        ok(Structured.match("var f = x => x * 2;",
+            "function() { var f = ($p) => { return $p * 2; }; }"),
+            "A concise arrow body matches a block that returns it.");
+        ok(Structured.match("var f = (x) => { return x * 2; };",
+            "function() { var f = $p => $p * 2; }"),
+            "A block arrow body matches a concise one.");
+        ok(Structured.match("var o = {draw};", "function() { var o = {draw: draw}; }"),
+            "Shorthand properties match the long form.");
+        ok(Structured.match("println(`hello`);", "function() { println('hello'); }"),
+            "A template without expressions matches a string.");
+        ok(Structured.match("x **= 2;", "function() { x = x ** 2; }"),
+            "**= matches the long form.");
+    });
+
+    test("Spread and rest globs", function() {
+        equal(Structured.match("rect(1, 2, 5);",
+            "function() { rect(...glob$args, 5); }").vars.args.length, 2,
+            "A spread glob matches arguments.");
+        equal(Structured.match("function f(a, ...rest) {}",
+            "function() { function f(...glob$params) {} }").vars.params.length,
+            2, "A rest glob matches parameters.");
+        equal(Structured.match("rect(...coords);",
+            "function() { rect(...$c); }").vars.c.name, "coords",
+            "A spread variable matches a spread argument.");
+        deepEqual(Structured.injectData("function() { rect(...glob$args, 5); }",
+            {vars: {args: [{type: "Literal", value: 1, raw: "1"}]}})
+            .body[0].expression.arguments, [
+            {type: "Literal", value: 1, raw: "1"},
+            {type: "Literal", value: 5, raw: "5"}
+        ], "Data is injected in place of spread globs.");
+    });
+};
+
+var parserTests = function() {
+    QUnit.module("Pluggable parser");
+
+    // Wraps the default parser, adding acorn's start and end to each node
+    // and recording the parser options of each call.
+    var calls = [];
+    var parser = function(code, parserOptions) {
+        calls.push(parserOptions);
+        var addOffsets = function(node) {
+            if (node && typeof node === "object") {
+                if (node.type && node.range) {
+                    node.start = node.range[0];
+                    node.end = node.range[1];
+                }
+                for (var key in node) {
+                    if (key !== "loc" && key !== "range") {
+                        addOffsets(node[key]);
+                    }
+                }
+            }
+            return node;
+        };
+        return addOffsets(Structured.parseWithEsprima(code,
+            {locations: true, sourceType: parserOptions.sourceType}));
+    };
+
+    test("options.parser", function() {
+        calls = [];
+        var result = Structured.match("var x = 5; rect(x, 10);", function() {
+            rect($a, 10);
+        }, {parser: parser, locations: true});
+        equal(result.vars.a.name, "x", "The parser's trees are matched.");
+        equal(calls.length, 2, "Both the code and structure are parsed with it.");
+        equal(calls[0].locations, false, "Structures need no locations.");
+        equal(calls[1].locations, true, "Locations are asked for.");
+        equal(result.locations.vars.a.source, "x",
+            "Locations come from the parser.");
+
+        calls = [];
+        Structured.match("rect(1, 2);", function() {
+            rect(_, _);
+        }, {parser: parser, parserOptions: {sourceType: "module"}});
+        equal(calls[0].sourceType, "module", "Parser options are passed on.");
+    });
+
+    test("parserOptions", function() {
+        ok(Structured.match("with (a) { b(); }", function() { b(); }),
+            "Scripts are parsed by default.");
+        throws(function() {
+            Structured.match("with (a) { b(); }", function() { b(); },
+                {parserOptions: {sourceType: "module"}});
+        }, "The default parser takes the sourceType.");
+    });
+
+    test("setParser", function() {
+        calls = [];
+        Structured.setParser(parser, {sourceType: "script"});
+        try {
+            ok(Structured.match("rect(1, 2);", function() { rect(_, _); }),
+                "The parser set is used.");
+            equal(calls.length, 2, "It parses the code and structure.");
+            equal(calls[0].sourceType, "script", "Its options are passed on.");
+        } finally {
+            Structured.setParser();
+        }
+        calls = [];
+        ok(Structured.match("rect(1, 2);", function() { rect(_, _); }),
+            "The default parser is restored.");
+        equal(calls.length, 0, "The parser set before is no longer used.");
+    });
+};
+
+var tolerantTests = function() {
+    QUnit.module("Tolerant matching");
+
+    test("Recovering from syntax errors", function() {
+        var code = "rect(1, 2);\nellipse(3, ;\nfill(255);";
+        throws(function() {
+            Structured.match(code, function() { rect(_, _); });
+        }, "Syntax errors are thrown by default.");
+
+        var result = Structured.match(code, function() {
+            rect(_, _);
+            fill($c);
+        }, {tolerant: true});
+        equal(result.vars.c.value, 255, "The code around the error is matched.");
+        deepEqual(result.syntaxErrors, [{
+            message: "Unexpected token ;",
+            line: 2,
+            column: 11,
+            index: 23
+        }], "The error is reported with its location.");
+        equal(Structured.match(code, function() { ellipse(_, _); },
+            {tolerant: true}), false, "The broken statement is left out.");
+
+        result = Structured.match("rect(1); var x = ; fill(2);",
+            function() { rect(_); fill(_); }, {tolerant: true});
+        ok(result, "Statements on the line of an error are kept.");
+        equal(result.syntaxErrors.length, 1, "The error is reported.");
+        result = Structured.match("rect(1); /* a; b */ var s = \"c;\" 5;\nfill(2);",
+            function() { rect(_); fill(_); }, {tolerant: true});
+        ok(result, "Semicolons in comments and strings don't end statements.");
+        equal(result.syntaxErrors.length, 1, "Only the broken statement is left out.");
+
+        result = Structured.match("function draw() {\n    rect(1, 2);\n",
+            function() { function draw() { rect(_, _); } }, {tolerant: true});
+        ok(result, "Unclosed brackets are closed.");
+        equal(result.syntaxErrors[0].message, "Unexpected end of input",
+            "The missing end is reported.");
+
+        result = Structured.match("rect(1, 2);\n}\nfill(0);\n)",
+            function() { rect(_, _); fill(_); }, {tolerant: true});
+        equal(result.syntaxErrors.length, 2, "Every error is reported.");
+
+        deepEqual(Structured.match("rect(1, 2);", function() { rect(_, _); },
+            {tolerant: true}).syntaxErrors, [], "Valid code has no errors.");
+    });
+
+    test("Failures", function() {
+        var result = Structured.check("rect(1, 2);\nfill(;", function() {
+            fill(_);
+        }, {tolerant: true});
+        equal(result.matched, false, "The match fails.");
+        equal(result.syntaxErrors[0].line, 2, "Failed checks report the errors.");
+        equal(Structured.match("fill(;", function() { fill(_); },
+            {tolerant: true, explain: true}).syntaxErrors.length, 1,
+            "Failure reports have the errors.");
+        strictEqual(Structured.match("fill(;", function() { fill(_); },
+            {tolerant: true}), false, "Other failures are still false.");
+        equal(Structured.matchAll("rect(1);\n(;\nrect(2);", function() {
+            rect(_);
+        }, {tolerant: true})[1].syntaxErrors.length, 1,
+            "Every result of matchAll has the errors.");
+    });
+};
+
+var structureFormTests = function() {
+    QUnit.module("Structure forms");
+
+    var code = "var x = 5; rect(x, 10); fill(255);";
+
+    test("Strings", function() {
+        ok(Structured.match(code, "rect(_, 10); fill(_);"),
+            "A list of statements is a structure.");
+        ok(Structured.match(code, "rect(_, 10)"),
+            "A single expression is a structure.");
+        equal(Structured.match(code, "rect($a, 10)").vars.a.name, "x",
+            "Variables work in a single expression.");
+        equal(Structured.match(code, "fill(_); rect(_, 10);"), false,
+            "The statements are in order.");
+        ok(Structured.match(code, "function() { rect(_, 10); }"),
+            "Functions still work.");
+        ok(Structured.match(code, "function structure() { rect(_, 10); }"),
+            "Named functions still work.");
+        ok(Structured.match("class A { draw() { rect(1); } }",
+            "class _ { draw() { rect(_); } }"), "Classes are declarations.");
+        ok(Structured.match("var B = class { draw() { rect(1); } };",
+            "class { draw() { rect(_); } }"), "Classes without names are expressions.");
+        throws(function() {
+            Structured.match(code, "rect(_, ;");
+        }, "Broken structures are reported.");
+        throws(function() {
+            Structured.match(code, "  ");
+        }, "Empty structures are reported.");
+    });
+
+    test("Arrow functions", function() {
+        ok(Structured.match(code, "() => { rect(_, 10); fill(_); }"),
+            "An arrow function's block is the structure.");
+        equal(Structured.match(code, "() => rect($a, 10)").vars.a.name, "x",
+            "An arrow function's expression is the structure.");
+        equal(Structured.match(code, "() => rect(_, 20)"), false,
+            "Arrow function structures can fail.");
+    });
+
+    test("Caching", function() {
+        var structure = "rect($a, _)";
+        equal(Structured.match(code, structure).vars.a.name, "x",
+            "The structure matches.");
+        equal(Structured.match("rect(y, 2);", structure).vars.a.name, "y",
+            "The cached structure matches again.");
+        equal(Structured.injectData(structure, {vars: {a: {
+            type: "Identifier",
+            name: "z"
+        }}, _: [{type: "Literal", value: 1, raw: "1"}]}).body[0].expression.arguments[0].name,
+            "z", "Data can be injected into statement structures.");
+    });
+};
+
+var errorTests = function() {
+    QUnit.module("Errors");
+
+    var caught = function(fn) {
+        try {
+            fn();
+        } catch (error) {
+            return error;
+        }
+        return null;
+    };
+
+    test("Code that doesn't parse", function() {
+        var error = caught(function() {
+            Structured.match("var x = 1;\nvar y = ;", function() { var _ = 1; });
+        });
+        ok(error instanceof Structured.CodeParseError, "A CodeParseError is thrown.");
+        ok(error instanceof Error, "It is an Error.");
+        equal(error.name, "CodeParseError", "It has its name.");
+        equal(error.code, "CODE_SYNTAX_ERROR", "It has a code.");
+        equal(error.message, "Unexpected token ;", "It has the parser's message.");
+        deepEqual(error.location, {line: 2, column: 8, index: 19},
+            "It has the location of the error in the code.");
+    });
+
+    test("Structures that don't parse", function() {
+        var error = caught(function() {
+            Structured.match("var x = 1;", "var $a = ;");
+        });
+        ok(error instanceof Structured.StructureError, "A StructureError is thrown.");
+        equal(error.code, "STRUCTURE_SYNTAX_ERROR", "It has a code.");
+        deepEqual(error.location, {line: 1, column: 9, index: 9},
+            "It has the location of the error in the structure.");
+
+        error = caught(function() {
+            Structured.match("var x = 1;", "function() {\n    rect(;\n}");
+        });
+        deepEqual(error.location, {line: 2, column: 9, index: 22},
+            "Errors inside a function structure are located.");
+        error = caught(function() {
+            Structured.match("var x = 1;", "() => { rect(; }");
+        });
+        deepEqual(error.location, {line: 1, column: 13, index: 13},
+            "Errors inside an arrow function structure are located.");
+
+        error = caught(function() {
+            Structured.match("var x = 1;", "");
+        });
+        equal(error.code, "EMPTY_STRUCTURE", "Empty structures are reported.");
+        strictEqual(error.location, null, "They have no location.");
+        equal(caught(function() {
+            Structured.match("var x = 1;", "function() {}");
+        }).code, "EMPTY_STRUCTURE", "Empty function structures are reported.");
+        equal(caught(function() {
+            Structured.match("var x = 1;", "() => {}");
+        }).code, "EMPTY_STRUCTURE", "Empty arrow function structures are reported.");
+    });
+
+    test("Mistakes in structures", function() {
+        var error = caught(function() {
+            Structured.match("var x = 1;", function() { var _ = _$Bogus; });
+        });
+        ok(error instanceof Structured.StructureError, "A StructureError is thrown.");
+        equal(error.code, "UNKNOWN_WILDCARD_TYPE", "Unknown types are reported.");
+        equal(error.variable, "_$Bogus", "The wildcard is given.");
+
+        error = caught(function() {
+            Structured.match("var x = 1;", function() { var _ = $a$Identifier + $a$Literal; });
+        });
+        equal(error.code, "CONFLICTING_WILDCARD_TYPES", "Conflicting types are reported.");
+        equal(error.variable, "$a", "The variable is given.");
+
+        error = caught(function() {
+            Structured.match("var x = 1;", function() { $or(); });
+        });
+        equal(error.code, "EMPTY_OR", "An empty $or is reported.");
+        equal(error.node.type, "CallExpression", "The node is given.");
+
+        error = caught(function() {
+            Structured.match("var x = f(1);", function() { var _ = f($not(1)); });
+        });
+        equal(error.code, "STATEMENT_ONLY", "Misplaced markers are reported.");
+        equal(error.variable, "$not", "The marker is given.");
+
+        error = caught(function() {
+            Structured.match("var x = 1;", "rect(1);\nvar _ = _$Bogus;");
+        });
+        deepEqual(error.location, {line: 2, column: 8, index: 17},
+            "The location of the mistake in the structure is given.");
+        error = caught(function() {
+            Structured.match("var x = 1;", "$or()");
+        });
+        deepEqual(error.location, {line: 1, column: 0, index: 0},
+            "Mistakes in expression structures are located.");
+        error = caught(function() {
+            Structured.match("var x = 1;", function() { $not(a(), b()); });
+        });
+        notStrictEqual(error.location, null, "Mistakes in functions are located.");
+    });
+
+    test("Mistakes in callbacks", function() {
+        var error = caught(function() {
+            Structured.match("var x = 1;", function() { var _ = $a; },
+                {varCallbacks: {"$b": function() { return true; }}});
+        });
+        ok(error instanceof Structured.StructureError, "A StructureError is thrown.");
+        equal(error.code, "UNKNOWN_CALLBACK_VARIABLE",
+            "Callbacks on variables that aren't in the structure are reported.");
+        equal(error.variable, "$b", "The variable is given.");
+
+        // Made from source, so that this file still loads without ES2015.
+        var arrow = new Function("return ($a, $b) => $a.value < $b.value;")();
+        ok(Structured.match("rect(1, 2);", function() { rect($a, $b); },
+            {varCallbacks: [arrow]}), "Arrow function callbacks are read.");
+        var method = new Function("return {check($a) { return true; }}.check;")();
+        ok(Structured.match("rect(1, 2);", function() { rect($a, _); },
+            {varCallbacks: [method]}), "Method callbacks are read.");
+        equal(caught(function() {
+            Structured.match("rect(1, 2);", function() { rect($a, _); },
+                {varCallbacks: [new Function("return class {};")()]});
+        }).code, "INVALID_CALLBACK_PARAMETER", "Unreadable callbacks are reported.");
+
+        ok(Structured.match("g(1);", function() { $or(f($a), g($b)); },
+            {varCallbacks: {"$b": function() { return true; }}}),
+            "Variables of other alternatives are in the structure.");
+
+        error = caught(function() {
+            Structured.match("var x = 1;", function() { var _ = $a; },
+                {where: {"$b": {value: 1}}});
+        });
+        equal(error.code, "UNKNOWN_WHERE_VARIABLE",
+            "Conditions on variables that aren't in the structure are reported.");
+        equal(error.variable, "$b", "The variable is given.");
+        ok(Structured.match("var x = 1;", function() { var _ = _; $not(f($c)); },
+            {where: {"$c": {value: 1}}}), "Variables of $not statements are in the structure.");
+
+        error = caught(function() {
+            Structured.match("var x = 1;", function() { var _ = $a; },
+                {varCallbacks: {"$a": {bogus: 1}}});
+        });
+        equal(error.code, "UNKNOWN_CONSTRAINT_OPERATOR", "Unknown operators are reported.");
+        equal(error.variable, "$a", "The variable is given.");
+
+        error = caught(function() {
+            Structured.match("var x = 1;", function() { var _ = $a; },
+                {varCallbacks: {"$a": {type: "Numbr"}}});
+        });
+        equal(error.code, "UNKNOWN_WILDCARD_TYPE", "Unknown constraint types are reported.");
+        equal(error.variable, "$a", "The variable is given.");
+
+        error = caught(function() {
+            Structured.match("var x = 1;", function() { var _ = $a; },
+                {varCallbacks: [Structured.constraints.isNumber()]});
+        });
+        equal(error.code, "MISSING_CALLBACK_VARIABLES",
+            "Constraint helpers given without variables are reported.");
+    });
+
+    test("Missing data to inject", function() {
+        var error = caught(function() {
+            Structured.injectData("var x = _;", {});
+        });
+        ok(error instanceof Structured.InjectionError, "An InjectionError is thrown.");
+        equal(error.code, "MISSING_BLANK_DATA", "Missing blanks are reported.");
+        deepEqual(error.location, {line: 1, column: 8, index: 8},
+            "The location of the blank is given.");
+
+        error = caught(function() {
+            Structured.injectData("var x = $a;", {vars: {b: "1"}});
+        });
+        equal(error.code, "MISSING_VAR_DATA", "Missing variables are reported.");
+        equal(error.variable, "$a", "The variable is given.");
+        equal(error.message, "No vars available.", "It has a message.");
+
+        error = caught(function() {
+            Structured.injectData(function() {
+                rect($a);
+            }, {vars: {}});
+        });
+        deepEqual([error.location.line, error.location.column], [2, 21],
+            "Variables in function structures are located.");
+    });
+};
+
+var commentTests = function() {
+    QUnit.module("Comments");
+
+    var code = "// Trees and houses\n\n" +
+        "/**\n * Draws a tree\n */\n" +
+        "var drawTree = function() {\n" +
+        "    // The trunk\n" +
+        "    rect(10, 20, 5, 30); // brown\n" +
+        "    ellipse(12, 15, 20, 20);\n" +
+        "};\n" +
+        "// Draws a house\n" +
+        "var drawHouse = function() {};\n" +
+        "var drawNothing = function() {};\n";
+
+    test("Comments before nodes", function() {
+        var result = Structured.match(code, function() {
+            /* $doc */
+            var $fn = function() {};
+        }, {comments: true});
+        equal(result.vars.fn.name, "drawTree", "The first documented function is found.");
+        equal(result.vars.doc.value, "Draws a tree",
+            "The nearest comment is assigned, without its stars.");
+        equal(result.vars.doc.type, "Block", "The variable is like the comment.");
+
+        ok(!Structured.match("var drawNothing = function() {};", function() {
+            /* $doc */
+            var $fn = function() {};
+        }, {comments: true}), "Code without the comment doesn't match.");
+        ok(Structured.match("var drawNothing = function() {};", function() {
+            /* $doc */
+            var $fn = function() {};
+        }), "Comments are ignored without the comments option.");
+
+        ok(Structured.match(code, function() {
+            // The trunk
+            rect(_, _, _, _);
+        }, {comments: true}), "Text without variables must be in the comment.");
+        ok(!Structured.match(code, function() {
+            // brown
+            ellipse(_, _, _, _);
+        }, {comments: true}), "Comments at the end of a line belong to that line.");
+        ok(Structured.match("var x = /* five */ 5;", function() {
+            var x = /* five */ _;
+        }, {comments: true}), "Comments before blanks are inside the node they are in.");
+    });
+
+    test("Text patterns", function() {
+        var results = Structured.matchAll(code, function() {
+            // Draws $what
+            var $fn = function() {};
+        }, {comments: true});
+        deepEqual(results.map(function(result) {
+            return [result.vars.fn.name, result.vars.what.value];
+        }), [["drawTree", "a tree"], ["drawHouse", "a house"]],
+            "Variables stand for the text around the rest of the comment.");
+
+        var result = Structured.match(code, function() {
+            // Draws $what
+            var $fn = function() {};
+        }, {comments: true, where: {"$what": {value: /house/}}});
+        equal(result.vars.fn.name, "drawHouse", "Conditions apply to comment variables.");
+
+        result = Structured.match(code, function() {
+            // Draws $what
+            var $fn = function() {};
+        }, {comments: true, varCallbacks: {"$what": function(what) {
+            return what.value !== "a tree";
+        }}});
+        equal(result.vars.fn.name, "drawHouse", "varCallbacks check comment variables.");
+
+        ok(Structured.match("// a\n// a\nf();", "/* $x */ /* $x */ f();",
+            {comments: true}), "Variables stand for the text they were given.");
+        ok(!Structured.match("// a\n// b\nf();", "/* $x */ /* $x */ f();",
+            {comments: true}), "Other text doesn't match them.");
+    });
+
+    test("Comments inside nodes", function() {
+        ok(Structured.match(code, function() {
+            var $fn = function() {
+                // brown
+            };
+        }, {comments: true}), "Comments may be anywhere inside the code.");
+        ok(!Structured.match(code, function() {
+            var $fn = function() {
+                // Draws a house
+            };
+        }, {comments: true}), "Comments outside the code don't count.");
+        throws(function() {
+            Structured.match(code, function() {
+                rect(_, _, _, _);
+                // $note
+            }, {comments: true});
+        }, function(error) {
+            return error.code === "MISPLACED_COMMENT";
+        }, "Comments after the last statement of a structure are reported.");
+        throws(function() {
+            Structured.match("function draw() { rect(1, 2, 3, 4); }",
+                "/* $doc */ function $fn() {}", {comments: true});
+        }, function(error) {
+            return error.code === "MISPLACED_COMMENT";
+        }, "Comments before a lone function structure are reported.");
+        throws(function() {
+            Structured.match(code, "/* $doc */ () => { rect(_, _, _, _); }",
+                {comments: true});
+        }, function(error) {
+            return error.code === "MISPLACED_COMMENT";
+        }, "Comments outside the wrapper of a structure are reported.");
+        throws(function() {
+            Structured.match(code, "rect(_, _, _, _) /* $note */", {comments: true});
+        }, function(error) {
+            return error.code === "MISPLACED_COMMENT";
+        }, "Comments after a lone expression structure are reported.");
+    });
+
+    test("Header comments", function() {
+        var result = Structured.match(code, "/* $header */", {comments: true});
+        equal(result.vars.header.value, "Trees and houses",
+            "Structures of only comments match the top of the code.");
+        ok(!Structured.match("rect(1, 2, 3, 4); // Trees", "// $header",
+            {comments: true}), "Other comments are not headers.");
+    });
+
+    test("Comment locations", function() {
+        var result = Structured.match(code, function() {
+            // $doc
+            var $fn = function() {};
+        }, {comments: true, locations: true});
+        deepEqual(result.locations.vars.doc, {
+            start: {line: 3, column: 0},
+            end: {line: 5, column: 3},
+            range: [21, 44],
+            source: "/**\n * Draws a tree\n */"
+        }, "Comment variables have the location of the comment.");
+    });
+};
+
+var jsxTests = function() {
+    QUnit.module("JSX");
+
+    var code = "var List = React.createClass({\n" +
+        "    render: function() {\n" +
+        "        return (\n" +
+        "            <ul className=\"items\">\n" +
+        "                {this.props.items.map(function(item) {\n" +
+        "                    return <li key={item.id}>{item.name}</li>;\n" +
+        "                })}\n" +
+        "            </ul>\n" +
+        "        );\n" +
+        "    }\n" +
+        "});";
+
+    test("Elements", function() {
+        ok(Structured.match(code, "function() {" +
+            "return <ul>{_.map(function($item) { return <li key={_} />; })}</ul>;" +
+            "}"), "Elements are matched inside other elements.");
+        ok(Structured.match(code, "<li>{_.name}</li>"),
+            "Structure children must be among the element's children.");
+        ok(!Structured.match(code, "<ol />"), "Tags must be the same.");
+        ok(!Structured.match(code, "<li>{_.id}</li>"),
+            "Children that aren't there don't match.");
+    });
+
+    test("Wildcards in tags and attributes", function() {
+        var result = Structured.match(code, "<$tag className={$name}></$tag>");
+        equal(result.vars.tag.name, "ul", "Variables match tag names.");
+        equal(result.vars.name.value, "items", "Variables match attribute values.");
+        ok(!Structured.match("var a = <p>Hi</p>; var b = <div>Hi</div>;",
+            "<$tag>Hi</$tag>; <$tag>Hi</$tag>;"), "Tags of a variable must be the same.");
+
+        result = Structured.match(code, "<li $attr={_$MemberExpression} />");
+        equal(result.vars.attr.name, "key", "Variables match attribute names.");
+        ok(Structured.match(code, "<_ _=\"items\" />"), "Blanks match tags and attributes.");
+        ok(!Structured.match(code, "<li key={_$Literal} />"),
+            "Typed wildcards match attribute values.");
+    });
+
+    test("Wildcards in children", function() {
+        ok(Structured.match("var a = <li key=\"a\">text</li>;", "<li key={_}>{_}</li>"),
+            "Blanks in braces match text children.");
+        var result = Structured.match("var a = <p><b>Hi</b> there</p>;", "<p>{$first}{$rest}</p>");
+        equal(result.vars.first.openingElement.name.name, "b",
+            "Variables in braces match element children.");
+        equal(result.vars.rest.value, " there", "They match text children as text nodes.");
+        ok(!Structured.match("var a = <li>text</li>;", "<li>{_$JSXElement}</li>"),
+            "Typed wildcards in braces only match children of their type.");
+        ok(!Structured.match("var a = <li>text</li>;", "<li>{f(_)}</li>"),
+            "Other expressions in braces only match expressions in braces.");
+    });
+
+    test("Globs in children", function() {
+        var result = Structured.match("var a = <ul><li>One</li><li>Two</li></ul>;",
+            "<ul>{glob$items}</ul>");
+        equal(result.vars.items.length, 2, "Globs match the children.");
+        equal(result.vars.items[1].openingElement.name.name, "li",
+            "They are the children's nodes.");
+    });
+
+    test("Standard forms", function() {
+        ok(Structured.match("var a = <input disabled />;", "<input disabled={true} />"),
+            "Attributes without values are true.");
+        ok(Structured.match("var a = <li key={\"a\"}></li>;", "<li key=\"a\" />"),
+            "Quoted attribute values match the same string in braces.");
+        ok(Structured.match("var a = <p>\n    Hello  there\n    world\n</p>;",
+            "<p>Hello  there world</p>"), "Text is matched as it is displayed.");
+        throws(function() {
+            Structured.match("var a = <p />;", "<p />",
+                {parserOptions: {jsx: false}});
+        }, "JSX can be turned off.");
+    });
+};
+
 var runAll = function() {
     basicTests();
     clutterTests();
@@ -1978,6 +3889,30 @@ var runAll = function() {
     injectDataTests();
     altVarCallbacks();
     commutativity();
+    matchAllTests();
+    locationTests();
+    explainTests();
+    negationTests();
+    unorderedTests();
+    adjacencyTests();
+    countTests();
+    alternationTests();
+    optionalTests();
+    typedWildcardTests();
+    backtrackingTests();
+    budgetTests();
+    globTests();
+    whereTests();
+    declarativeConstraintTests();
+    constraintHelperTests();
+    pureApiTests();
+    es2015Tests();
+    parserTests();
+    tolerantTests();
+    structureFormTests();
+    errorTests();
+    commentTests();
+    jsxTests();
 };
 
 runAll();